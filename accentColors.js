@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// The GNOME accent colors and the matching of a wallpaper to one of them,
+// shared by the extension and the preferences window.
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+
+Gio._promisify(Gio.File.prototype, 'read_async');
+Gio._promisify(GdkPixbuf.Pixbuf, 'new_from_stream_at_scale_async', 'new_from_stream_finish');
+
+// Marks the names for xgettext; the preferences window translates them.
+const N_ = name => name;
+
+export const ACCENT_COLORS = [
+    { name: N_('Blue'), value: 'blue', color: '#1c71d8' },
+    { name: N_('Teal'), value: 'teal', color: '#26a269' },
+    { name: N_('Green'), value: 'green', color: '#2ec27e' },
+    { name: N_('Yellow'), value: 'yellow', color: '#e5a50a' },
+    { name: N_('Orange'), value: 'orange', color: '#ff7800' },
+    { name: N_('Red'), value: 'red', color: '#e01b24' },
+    { name: N_('Pink'), value: 'pink', color: '#e4679d' },
+    { name: N_('Purple'), value: 'purple', color: '#9141ac' },
+    { name: N_('Slate'), value: 'slate', color: '#667885' },
+];
+
+// Picked when the wallpaper has no color to speak of.
+const NEUTRAL_ACCENT = 'slate';
+
+const PALETTE_SIZE = 5;
+const SAMPLE_SIZE = 64;
+
+function toHex(r, g, b) {
+    return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function fromHex(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+function toHsv([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+
+    let hue = 0;
+    if (delta > 0) {
+        if (max === r) hue = ((g - b) / delta) % 6;
+        else if (max === g) hue = (b - r) / delta + 2;
+        else hue = (r - g) / delta + 4;
+    }
+
+    return {
+        hue: (hue * 60 + 360) % 360,
+        saturation: max ? delta / max : 0,
+        value: max / 255,
+    };
+}
+
+// Returns the dominant colors of an image as { color, weight } entries,
+// heaviest first. Weights are the share of sampled pixels.
+export async function extractPalette(file) {
+    const stream = await file.read_async(0, null);
+    const pixbuf = await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(
+        stream, SAMPLE_SIZE, SAMPLE_SIZE, true, null);
+    stream.close(null);
+
+    const pixels = pixbuf.read_pixel_bytes().get_data();
+    const { width, height, rowstride } = pixbuf;
+    const channels = pixbuf.n_channels;
+
+    // Coarse 4-bit buckets per channel, averaged back to a real color.
+    const buckets = new Map();
+    let total = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * rowstride + x * channels;
+            if (channels === 4 && pixels[i + 3] < 128) continue;
+
+            const key = ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4);
+            const bucket = buckets.get(key) ?? { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += pixels[i];
+            bucket.g += pixels[i + 1];
+            bucket.b += pixels[i + 2];
+            buckets.set(key, bucket);
+            total++;
+        }
+    }
+
+    const palette = [];
+    for (const bucket of [...buckets.values()].sort((a, b) => b.count - a.count)) {
+        const rgb = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+
+        // Neighbouring buckets of one color would fill the palette alone.
+        const isDistinct = palette.every(entry => {
+            const other = fromHex(entry.color);
+            return Math.hypot(rgb[0] - other[0], rgb[1] - other[1], rgb[2] - other[2]) > 48;
+        });
+        if (!isDistinct) continue;
+
+        palette.push({ color: toHex(...rgb), weight: bucket.count / total });
+        if (palette.length === PALETTE_SIZE) break;
+    }
+
+    return palette;
+}
+
+// Maps a palette to the accent whose hue is nearest to its most prominent
+// vivid color.
+export function pickAccent(palette) {
+    const vivid = palette
+        .map(entry => ({ ...toHsv(fromHex(entry.color)), weight: entry.weight }))
+        .filter(entry => entry.saturation > 0.25 && entry.value > 0.2);
+    if (!vivid.length) return NEUTRAL_ACCENT;
+
+    const main = vivid.reduce((best, entry) =>
+        entry.weight * entry.saturation > best.weight * best.saturation ? entry : best);
+
+    let nearest = NEUTRAL_ACCENT;
+    let nearestDistance = Infinity;
+    ACCENT_COLORS
+        .filter(accent => accent.value !== NEUTRAL_ACCENT)
+        .forEach(accent => {
+            const { hue } = toHsv(fromHex(accent.color));
+            const difference = Math.abs(hue - main.hue);
+            const distance = Math.min(difference, 360 - difference);
+            if (distance < nearestDistance) {
+                nearest = accent.value;
+                nearestDistance = distance;
+            }
+        });
+    return nearest;
+}
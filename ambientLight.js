@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Access to the ambient light sensor through iio-sensor-proxy, shared by the
+// extension and the preferences window.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const BUS_NAME = 'net.hadess.SensorProxy';
+const OBJECT_PATH = '/net/hadess/SensorProxy';
+
+const SensorProxyInterface = `
+<node>
+  <interface name="net.hadess.SensorProxy">
+    <method name="ClaimLight"/>
+    <method name="ReleaseLight"/>
+    <property name="HasAmbientLight" type="b" access="read"/>
+    <property name="LightLevelUnit" type="s" access="read"/>
+    <property name="LightLevel" type="d" access="read"/>
+  </interface>
+</node>`;
+
+const SensorProxy = Gio.DBusProxy.makeProxyWrapper(SensorProxyInterface);
+
+// iio-sensor-proxy lives on the system bus; setting
+// APPEARANCE_KEEPER_SENSOR_BUS=session points the extension at a fake
+// service on the session bus instead, such as tests/fake-sensor-proxy.js.
+function getSensorBus() {
+    return GLib.getenv('APPEARANCE_KEEPER_SENSOR_BUS') === 'session'
+        ? Gio.DBus.session
+        : Gio.DBus.system;
+}
+
+export function createSensorProxy(callback, cancellable = null) {
+    return new SensorProxy(getSensorBus(), BUS_NAME, OBJECT_PATH, callback, cancellable);
+}
+
+export function hasAmbientLight(proxy) {
+    return Boolean(proxy?.g_name_owner && proxy.HasAmbientLight);
+}
+
+// Readings only flow after the sensor was claimed, and the claim is dropped
+// by the daemon when the claiming connection goes away.
+export function claimLight(proxy) {
+    proxy.ClaimLightRemote((result, error) => {
+        if (error) console.warn(`Appearance Keeper: cannot claim light sensor: ${error.message}`);
+    });
+}
+
+export function releaseLight(proxy) {
+    if (proxy?.g_name_owner) proxy.ReleaseLightRemote(() => {});
+}
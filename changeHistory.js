@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Journal of the changes made to the saved values of each mode, newest
+// last, shared by the extension, which records it, and the preferences,
+// which revert from it.
+//
+// Each entry of the 'change-history' key is (unix time, mode, key, old
+// value, new value, source). Keys are the PROFILE_KEYS and 'picture-uri';
+// sources are listed in SOURCES.
+
+import GLib from 'gi://GLib';
+
+import { PROFILE_KEYS, WALLPAPER_KEYS } from './profiles.js';
+
+export const HISTORY_LIMIT = 200;
+
+// desktop      picked in Settings, Tweaks or any other desktop tool
+// automatic    chosen by the extension: wallpaper accent, dark wallpaper
+// extension    the Quick Settings menu or the D-Bus interface
+// preferences  the preferences window, reverts included
+export const SOURCES = ['desktop', 'automatic', 'extension', 'preferences'];
+
+export const HISTORY_KEYS = [...PROFILE_KEYS, 'picture-uri'];
+
+export function loadChangeHistory(settings) {
+    return settings.get_value('change-history').deepUnpack()
+        .map(([time, mode, key, oldValue, newValue, source]) => ({
+            time, mode, key, oldValue, newValue, source,
+        }));
+}
+
+export function recordChange(settings, change) {
+    const entries = settings.get_value('change-history').deepUnpack();
+    entries.push([
+        GLib.DateTime.new_now_local().to_unix(),
+        change.mode, change.key, change.oldValue, change.newValue, change.source,
+    ]);
+    settings.set_value('change-history', new GLib.Variant('a(xsssss)', entries.slice(-HISTORY_LIMIT)));
+}
+
+export function clearChangeHistory(settings) {
+    settings.reset('change-history');
+}
+
+// Returns the values a mode had just before the entry at index, for the
+// keys changed since. Keys that were never saved before have no value to
+// go back to and are left out.
+export function getStateBefore(history, index) {
+    const mode = history[index].mode;
+    const state = {};
+    history.slice(index)
+        .filter(entry => entry.mode === mode)
+        .forEach(entry => {
+            if (!(entry.key in state)) state[entry.key] = entry.oldValue;
+        });
+
+    Object.keys(state).forEach(key => {
+        if (!state[key]) delete state[key];
+    });
+    return state;
+}
+
+// Puts a value back in the saved set of a mode. The wallpaper goes through
+// the desktop key, from which the extension saves it; an accent put back
+// by hand ends the automatic one.
+export function restoreValue(settings, backgroundSettings, mode, key, value) {
+    if (key === 'picture-uri') {
+        if (backgroundSettings.get_string(WALLPAPER_KEYS[mode]) !== value)
+            backgroundSettings.set_string(WALLPAPER_KEYS[mode], value);
+        return;
+    }
+
+    if (key === 'accent-color') settings.set_boolean(`${mode}-accent-auto`, false);
+    if (settings.get_string(`${mode}-${key}`) !== value)
+        settings.set_string(`${mode}-${key}`, value);
+}
@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// A dark wallpaper derived from the light one by dimming, desaturating,
+// blurring and tinting it. bin/render-wallpaper renders it into the user
+// cache dir; the preferences window uses the same code for its live preview.
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { runRenderHelper } from './renderHelper.js';
+
+Gio._promisify(Gio.File.prototype, 'read_async');
+Gio._promisify(GdkPixbuf.Pixbuf, 'new_from_stream_at_scale_async', 'new_from_stream_finish');
+
+export function readVariantOptions(settings) {
+    return {
+        dim: settings.get_uint('dark-variant-dim'),
+        desaturate: settings.get_uint('dark-variant-desaturate'),
+        blur: settings.get_uint('dark-variant-blur'),
+        overlay: settings.get_string('dark-variant-overlay'),
+        overlayOpacity: settings.get_uint('dark-variant-overlay-opacity'),
+    };
+}
+
+function parseColor(hex) {
+    const match = /^#([0-9a-f]{6})$/i.exec(hex);
+    return match ? parseInt(match[1], 16) : null;
+}
+
+function fillOver(pixbuf, rgb, percent) {
+    if (percent <= 0) return;
+
+    const { width, height } = pixbuf;
+    const layer = GdkPixbuf.Pixbuf.new(GdkPixbuf.Colorspace.RGB, false, 8, width, height);
+    layer.fill(((rgb << 8) | 0xff) >>> 0);
+    layer.composite(pixbuf, 0, 0, width, height, 0, 0, 1, 1,
+        GdkPixbuf.InterpType.NEAREST, Math.round(percent * 2.55));
+}
+
+// Applies the options to a copy of a pixbuf. Blur strength is relative to
+// the image size, so a thumbnail previews the full size result.
+export function renderDarkVariant(source, options) {
+    let pixbuf = source.copy();
+    const { width, height } = pixbuf;
+
+    if (options.blur > 0) {
+        const factor = 1 + options.blur / 5;
+        const small = pixbuf.scale_simple(
+            Math.max(1, Math.round(width / factor)),
+            Math.max(1, Math.round(height / factor)),
+            GdkPixbuf.InterpType.BILINEAR);
+        pixbuf = small.scale_simple(width, height, GdkPixbuf.InterpType.BILINEAR);
+    }
+
+    if (options.desaturate > 0)
+        pixbuf.saturate_and_pixelate(pixbuf, 1 - options.desaturate / 100, false);
+
+    const overlay = parseColor(options.overlay);
+    if (overlay !== null)
+        fillOver(pixbuf, overlay, options.overlayOpacity);
+
+    fillOver(pixbuf, 0x000000, options.dim);
+    return pixbuf;
+}
+
+export async function loadScaledPixbuf(file, size) {
+    const stream = await file.read_async(GLib.PRIORITY_DEFAULT, null);
+    const pixbuf = await GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream, size, size, true, null);
+    stream.close(null);
+    return pixbuf;
+}
+
+function getCacheDir() {
+    return Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_cache_dir(), 'appearance-keeper', 'dark-variant',
+    ]));
+}
+
+// Named after the light image, its modification time, the size and the
+// options, so any change to them leads to a new render.
+function getVariantFile(lightFile, options, size) {
+    const info = lightFile.query_info('time::modified,standard::size', Gio.FileQueryInfoFlags.NONE, null);
+    const source = `${lightFile.get_uri()}:${info.get_modification_date_time().to_unix()}:${info.get_size()}`;
+    const key = GLib.compute_checksum_for_string(GLib.ChecksumType.SHA1,
+        `${source}|${size}|${JSON.stringify(options)}`, -1);
+    return getCacheDir().get_child(`${key}.jpg`);
+}
+
+export function isDarkVariant(uri) {
+    return Boolean(uri) && Gio.File.new_for_uri(uri).has_parent(getCacheDir());
+}
+
+// Only the variant of the current light image is worth keeping.
+function pruneCache(keep) {
+    const children = getCacheDir().enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+    let info;
+    while ((info = children.next_file(null))) {
+        if (info.get_name() !== keep.get_basename())
+            getCacheDir().get_child(info.get_name()).delete(null);
+    }
+    children.close(null);
+}
+
+// Returns the rendered variant of a light image, scaled to fit size pixels.
+// It is rendered in a helper process on first use.
+export async function generateDarkVariant(lightFile, options, size) {
+    const file = getVariantFile(lightFile, options, size);
+    if (file.query_exists(null)) return file;
+
+    try {
+        getCacheDir().make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+    pruneCache(file);
+
+    await runRenderHelper(['dark-variant', lightFile.get_path(), size, JSON.stringify(options), file.get_path()]);
+    return file;
+}
+
+// Renders the variant of a local image to a path. Run by bin/render-wallpaper.
+export function writeDarkVariant(lightPath, size, options, path) {
+    const source = GdkPixbuf.Pixbuf.new_from_file_at_scale(lightPath, size, size, true);
+    const variant = renderDarkVariant(source, options);
+    const partial = `${path}.part`;
+    variant.savev(partial, 'jpeg', ['quality'], ['90']);
+    Gio.File.new_for_path(partial).move(Gio.File.new_for_path(path), Gio.FileCopyFlags.OVERWRITE, null, null);
+}
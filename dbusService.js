@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Session bus interface for scripting the extension. It is exported on the
+// connection of GNOME Shell, so clients reach it at the 'org.gnome.Shell'
+// bus name.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { MODES } from './profiles.js';
+
+export const BUS_NAME = 'org.gnome.Shell';
+export const OBJECT_PATH = '/org/gnome/Shell/Extensions/AppearanceKeeper';
+
+export const AppearanceKeeperInterface = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.AppearanceKeeper">
+    <method name="GetMode">
+      <arg type="s" direction="out" name="mode"/>
+    </method>
+    <method name="SetMode">
+      <arg type="s" direction="in" name="mode"/>
+    </method>
+    <method name="Toggle"/>
+    <method name="GetSavedSet">
+      <arg type="s" direction="in" name="mode"/>
+      <arg type="a{ss}" direction="out" name="set"/>
+    </method>
+    <method name="SaveCurrentAs">
+      <arg type="s" direction="in" name="mode"/>
+    </method>
+    <method name="ApplySet">
+      <arg type="a{ss}" direction="in" name="set"/>
+    </method>
+    <signal name="ModeChanged">
+      <arg type="s" name="mode"/>
+    </signal>
+  </interface>
+</node>`;
+
+function checkMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS,
+            `Unknown mode "${mode}", expected "light" or "dark"`);
+    }
+}
+
+export class AppearanceKeeperService {
+    constructor(manager) {
+        this._manager = manager;
+        this._dbusObject = Gio.DBusExportedObject.wrapJSObject(AppearanceKeeperInterface, this);
+    }
+
+    export() {
+        this._dbusObject.export(Gio.DBus.session, OBJECT_PATH);
+    }
+
+    unexport() {
+        this._dbusObject.unexport();
+    }
+
+    emitModeChanged(mode) {
+        this._dbusObject.emit_signal('ModeChanged', new GLib.Variant('(s)', [mode]));
+    }
+
+    GetMode() {
+        return this._manager.isDarkMode() ? 'dark' : 'light';
+    }
+
+    SetMode(mode) {
+        checkMode(mode);
+        if (this._manager.isDarkMode() !== (mode === 'dark')) {
+            this._manager.toggleColorScheme();
+        }
+    }
+
+    Toggle() {
+        this._manager.toggleColorScheme();
+    }
+
+    GetSavedSet(mode) {
+        checkMode(mode);
+        return this._manager.getSavedSet(mode);
+    }
+
+    SaveCurrentAs(mode) {
+        checkMode(mode);
+        this._manager.saveCurrentAs(mode);
+    }
+
+    // Entries are the keys returned by GetSavedSet. An optional 'mode' entry
+    // picks the set to change and defaults to the current mode.
+    ApplySet(set) {
+        const { mode = this.GetMode(), ...values } = set;
+        checkMode(mode);
+
+        try {
+            this._manager.applySet(mode, values);
+        } catch (e) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, e.message);
+        }
+    }
+}
@@ -7,9 +7,40 @@ import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+import { extractPalette, pickAccent } from './accentColors.js';
+import { claimLight, createSensorProxy, hasAmbientLight, releaseLight } from './ambientLight.js';
+import { HISTORY_KEYS, recordChange } from './changeHistory.js';
+import { generateDarkVariant, isDarkVariant, readVariantOptions } from './darkVariant.js';
+import { getThemeOverrides, updateGlobalOverride } from './flatpakOverrides.js';
+import { findGtk4ThemeDir, installGtk4Theme, restoreGtk4Files } from './gtk4Theme.js';
+import { getHookEnvironment, getHooks, recordHookResult, runHook } from './hooks.js';
+import {
+    applyManagedFile, getPlaceholderValues, loadManagedFiles, validateManagedFile
+} from './managedFiles.js';
+import { COLOR_KEYS, COLOR_SCHEMA, createColorProxy, readNightLightConfig } from './nightLight.js';
+import {
+    createDisplayDeviceProxy, createPowerProfilesProxy, isBatteryLow, isPowerSaverActive
+} from './power.js';
+import { AppearanceKeeperService } from './dbusService.js';
+import { AppearanceKeeperIndicator } from './quickSettings.js';
+import {
+    BACKGROUND_KEYS, MODES, PROFILE_KEYS, WALLPAPER_KEYS,
+    activateProfile, loadProfiles, migrateProfiles, storeInActiveProfile
+} from './profiles.js';
+import { applyQtSettings } from './qtThemes.js';
+import { getLightZone, getScheduleState, getTransitions, readScheduleConfig } from './schedule.js';
+import { getSlideshowOrder, listSlideshowImages } from './slideshow.js';
+import { getInstalledEditors, setStyleScheme } from './styleSchemes.js';
+import {
+    getInstalledTerminals, setDefaultProfile
+} from './terminals.js';
+import { renderTwilightFrames } from './twilight.js';
+import { recordWallpaper } from './wallpaperHistory.js';
+import { getImageAt, isBackgroundXml, loadBackgroundXml } from './xmlWallpaper.js';
+
 export default class AppearanceKeeperExtension extends Extension {
     enable() {
-        this._manager = new AppearanceKeeperManager(this.getSettings());
+        this._manager = new AppearanceKeeperManager(this.getSettings(), () => this.openPreferences());
         this._manager.start();
     }
 
@@ -22,16 +53,52 @@ export default class AppearanceKeeperExtension extends Extension {
 }
 
 class AppearanceKeeperManager {
-    constructor(settings) {
+    constructor(settings, openPreferences) {
         this._settings = settings;
+        this._openPreferences = openPreferences;
         this._interfaceSettings = null;
+        this._backgroundSettings = null;
+        this._screensaverSettings = null;
         this._userThemeSettings = null;
         this._handlers = [];
         this._suspendSave = false;
         this._suspendApply = false;
         this._debounceTimers = {};
+        this._scheduleTimerId = 0;
+        this._sleepSignalId = 0;
+        this._colorSettings = null;
+        this._colorProxy = null;
+        this._colorProxyCancellable = null;
+        this._nightLightHandlers = [];
+        this._sensorProxy = null;
+        this._sensorProxyCancellable = null;
+        this._sensorHandlers = [];
+        this._ambientHoldTimerId = 0;
+        this._ambientOverrideZone = null;
+        this._powerProxies = [];
+        this._powerCancellable = null;
+        this._activePowerTrigger = null;
+        this._schemeBeforeTrigger = null;
+        this._remoteAccessHandles = new Map();
+        this._pendingScheme = null;
+        this._indicator = null;
+        this._dbusService = null;
+        this._slideshowTimerId = 0;
+        this._slideshowStep = false;
+        this._twilightTimerId = 0;
+        this._twilightSerial = 0;
+        this._twilightActive = false;
+        this._accentSerials = { light: 0, dark: 0 };
+        this._darkVariantSerial = 0;
+        this._schemeChangeSerial = 0;
+        this._hooksCancellable = null;
+        this._automaticSchemeChange = false;
+        this._savedValues = {};
+        this._changeSource = null;
         
         this._SCHEMA_INTERFACE = 'org.gnome.desktop.interface';
+        this._SCHEMA_BACKGROUND = 'org.gnome.desktop.background';
+        this._SCHEMA_SCREENSAVER = 'org.gnome.desktop.screensaver';
         this._SCHEMA_USER_THEME = 'org.gnome.shell.extensions.user-theme';
         this._keybindingId = 'dark-light-toggle';
     }
@@ -42,14 +109,49 @@ class AppearanceKeeperManager {
             return;
         }
 
+        migrateProfiles(this._settings, this._backgroundSettings);
+        this._snapshotSavedValues();
+        MODES.forEach(mode => {
+            if (!this._settings.get_string(`${mode}-wallpaper-folder`)) {
+                recordWallpaper(this._settings, mode, this._getSavedWallpaper(mode));
+            }
+            this._updateAutoAccent(mode);
+        });
+        this._updateDarkVariant();
+        this._applyGtk4Theme(this.isDarkMode() ? 'dark' : 'light');
+
         this._initializeMonitoring();
         this._registerKeybinding();
+        this._updateSchedule();
+        this._updatePowerMonitoring();
+        this._updateIndicator();
+        this._restartSlideshow();
+
+        this._dbusService = new AppearanceKeeperService(this);
+        this._dbusService.export();
     }
 
     stop() {
+        if (this._dbusService) {
+            this._dbusService.unexport();
+            this._dbusService = null;
+        }
+
+        this._cleanupTwilightTimer();
+        this._endTwilight();
+        this._cleanupHooks();
         this._cleanupAllHandlers();
         this._cleanupDebounceTimers();
+        this._cleanupScheduleTimer();
+        this._cleanupSlideshowTimer();
+        this._cleanupSleepMonitoring();
+        this._cleanupNightLightMonitoring();
+        this._cleanupAmbientLightMonitoring();
+        this._cleanupPowerMonitoring();
+        this._cleanupRemoteAccessHandles();
+        this._destroyIndicator();
         this._cleanupKeybinding();
+        this._restoreGtk4Files();
         this._resetAllSettings();
     }
 
@@ -59,6 +161,8 @@ class AppearanceKeeperManager {
 
     _initMainSettings() {
         this._interfaceSettings = new Gio.Settings({ schema_id: this._SCHEMA_INTERFACE });
+        this._backgroundSettings = new Gio.Settings({ schema_id: this._SCHEMA_BACKGROUND });
+        this._screensaverSettings = new Gio.Settings({ schema_id: this._SCHEMA_SCREENSAVER });
         return true;
     }
 
@@ -104,6 +208,20 @@ class AppearanceKeeperManager {
         this._setupThemeMonitoring();
         this._setupStyleMonitoring();
         this._setupExtensionSettingsMonitoring();
+        this._setupScheduleMonitoring();
+        this._setupPowerSettingsMonitoring();
+        this._setupInhibitionMonitoring();
+        this._setupIndicatorMonitoring();
+        this._setupSlideshowMonitoring();
+        this._setupTwilightMonitoring();
+        this._setupAutoAccentMonitoring();
+        this._setupDarkVariantMonitoring();
+        this._setupTerminalMonitoring();
+        this._setupStyleSchemeMonitoring();
+        this._setupGtk4Monitoring();
+        this._setupQtMonitoring();
+        this._setupFlatpakMonitoring();
+        this._setupManagedFilesMonitoring();
     }
 
     _setupThemeMonitoring() {
@@ -121,6 +239,49 @@ class AppearanceKeeperManager {
             });
             this._storeHandler(this._userThemeSettings, shellHandler);
         }
+
+        MODES.forEach(mode => {
+            const key = WALLPAPER_KEYS[mode];
+            const handler = this._backgroundSettings.connect(`changed::${key}`, () => {
+                if (this._suspendSave) return;
+                const uri = this._backgroundSettings.get_string(key);
+                storeInActiveProfile(this._settings, mode, 'picture-uri', uri);
+
+                const isGenerated = isDarkVariant(uri);
+                // Slideshow steps are not worth a journal entry each.
+                if (this._settings.get_string(`${mode}-wallpaper-folder`)) {
+                    this._savedValues[`${mode}-picture-uri`] = uri;
+                } else {
+                    this._journalChange(mode, 'picture-uri', uri,
+                        isGenerated ? 'automatic' : this._changeSource ?? 'desktop');
+                }
+                // A dark wallpaper picked by hand ends the generated one.
+                if (mode === 'dark' && !isGenerated && !this._slideshowStep) {
+                    this._settings.set_boolean('dark-variant-enabled', false);
+                }
+
+                // Slideshow steps and generated images are not picks worth
+                // remembering.
+                if (!isGenerated && !this._settings.get_string(`${mode}-wallpaper-folder`)) {
+                    recordWallpaper(this._settings, mode, uri);
+                }
+                this._updateAutoAccent(mode);
+                if (mode === 'light') this._updateDarkVariant();
+            });
+            this._storeHandler(this._backgroundSettings, handler);
+        });
+
+        BACKGROUND_KEYS.forEach(key => {
+            const handler = this._backgroundSettings.connect(`changed::${key}`, () => {
+                this._saveThemeParameter(key);
+            });
+            this._storeHandler(this._backgroundSettings, handler);
+        });
+
+        const lockScreenHandler = this._screensaverSettings.connect('changed::picture-uri', () => {
+            this._saveThemeParameter('lock-screen-uri');
+        });
+        this._storeHandler(this._screensaverSettings, lockScreenHandler);
     }
 
     _setupStyleMonitoring() {
@@ -131,21 +292,860 @@ class AppearanceKeeperManager {
     }
 
     _setupExtensionSettingsMonitoring() {
-        const themeKeys = [
-            'light-gtk-theme', 'light-shell-theme', 'light-icon-theme', 
-            'light-cursor-theme', 'light-accent-color',
-            'dark-gtk-theme', 'dark-shell-theme', 'dark-icon-theme', 
-            'dark-cursor-theme', 'dark-accent-color'
+        MODES.forEach(mode => {
+            PROFILE_KEYS.forEach(parameter => {
+                const key = `${mode}-${parameter}`;
+                const handler = this._settings.connect(`changed::${key}`, () => {
+                    const value = this._settings.get_string(key);
+                    storeInActiveProfile(this._settings, mode, parameter, value);
+                    this._journalChange(mode, parameter, value, this._changeSource ?? 'preferences');
+                    this._handleExtensionSettingChange(key);
+                });
+                this._storeHandler(this._settings, handler);
+            });
+        });
+    }
+
+    _setupScheduleMonitoring() {
+        const scheduleKeys = [
+            'schedule-mode', 'latitude', 'longitude',
+            'sunrise-offset', 'sunset-offset', 'weekly-rules',
+            'ambient-dark-threshold', 'ambient-light-threshold', 'ambient-hold-time'
         ];
 
-        themeKeys.forEach(key => {
+        scheduleKeys.forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._settings.set_int64('schedule-override-until', 0);
+                this._ambientOverrideZone = null;
+                this._updateNightLightMonitoring();
+                this._updateAmbientLightMonitoring();
+                this._updateSchedule();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+
+        this._updateNightLightMonitoring();
+        this._updateAmbientLightMonitoring();
+
+        // Timers do not advance while suspended, so re-check the schedule
+        // when the machine resumes and when the session is unlocked.
+        this._sleepSignalId = Gio.DBus.system.signal_subscribe(
+            'org.freedesktop.login1',
+            'org.freedesktop.login1.Manager',
+            'PrepareForSleep',
+            '/org/freedesktop/login1',
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (connection, sender, path, iface, signal, params) => {
+                const [goingToSleep] = params.deepUnpack();
+                if (!goingToSleep) this._updateSchedule();
+            }
+        );
+
+        const sessionHandler = Main.sessionMode.connect('updated', () => {
+            if (!Main.sessionMode.isLocked) this._updateSchedule();
+        });
+        this._storeHandler(Main.sessionMode, sessionHandler);
+    }
+
+    _cleanupSleepMonitoring() {
+        if (this._sleepSignalId) {
+            Gio.DBus.system.signal_unsubscribe(this._sleepSignalId);
+            this._sleepSignalId = 0;
+        }
+    }
+
+    _updateNightLightMonitoring() {
+        if (this._settings.get_string('schedule-mode') !== 'night-light') {
+            this._cleanupNightLightMonitoring();
+            return;
+        }
+
+        if (this._colorSettings) return;
+
+        this._colorSettings = new Gio.Settings({ schema_id: COLOR_SCHEMA });
+        COLOR_KEYS.forEach(key => {
+            const handler = this._colorSettings.connect(`changed::${key}`, () => {
+                this._updateSchedule();
+            });
+            this._nightLightHandlers.push({ object: this._colorSettings, id: handler });
+        });
+
+        this._colorProxyCancellable = new Gio.Cancellable();
+        this._colorProxy = createColorProxy((proxy, error) => {
+            if (error) {
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.warn(`Appearance Keeper: Night Light unavailable: ${error.message}`);
+                }
+                return;
+            }
+            this._updateSchedule();
+        }, this._colorProxyCancellable);
+
+        ['g-properties-changed', 'notify::g-name-owner'].forEach(signal => {
+            const handler = this._colorProxy.connect(signal, () => this._updateSchedule());
+            this._nightLightHandlers.push({ object: this._colorProxy, id: handler });
+        });
+    }
+
+    _cleanupNightLightMonitoring() {
+        this._nightLightHandlers.forEach(({ object, id }) => object.disconnect(id));
+        this._nightLightHandlers = [];
+
+        if (this._colorProxyCancellable) {
+            this._colorProxyCancellable.cancel();
+            this._colorProxyCancellable = null;
+        }
+
+        this._colorProxy = null;
+        this._colorSettings = null;
+    }
+
+    _updateAmbientLightMonitoring() {
+        if (this._settings.get_string('schedule-mode') !== 'ambient-light') {
+            this._cleanupAmbientLightMonitoring();
+            return;
+        }
+
+        if (this._sensorProxy) {
+            this._handleLightLevel();
+            return;
+        }
+
+        this._sensorProxyCancellable = new Gio.Cancellable();
+        this._sensorProxy = createSensorProxy((proxy, error) => {
+            if (error) {
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.warn(`Appearance Keeper: light sensor unavailable: ${error.message}`);
+                }
+                return;
+            }
+            this._claimAmbientLight();
+        }, this._sensorProxyCancellable);
+
+        const levelHandler = this._sensorProxy.connect('g-properties-changed', () => {
+            this._handleLightLevel();
+        });
+        // The claim is lost when iio-sensor-proxy restarts.
+        const ownerHandler = this._sensorProxy.connect('notify::g-name-owner', () => {
+            this._claimAmbientLight();
+        });
+        this._sensorHandlers.push(levelHandler, ownerHandler);
+    }
+
+    _claimAmbientLight() {
+        if (hasAmbientLight(this._sensorProxy)) {
+            claimLight(this._sensorProxy);
+        }
+    }
+
+    _cleanupAmbientLightMonitoring() {
+        this._cleanupAmbientHoldTimer();
+        this._ambientOverrideZone = null;
+
+        if (this._sensorProxyCancellable) {
+            this._sensorProxyCancellable.cancel();
+            this._sensorProxyCancellable = null;
+        }
+
+        if (this._sensorProxy) {
+            this._sensorHandlers.forEach(id => this._sensorProxy.disconnect(id));
+            releaseLight(this._sensorProxy);
+        }
+        this._sensorHandlers = [];
+        this._sensorProxy = null;
+    }
+
+    _getLightZone() {
+        return getLightZone(
+            this._sensorProxy.LightLevel,
+            this._settings.get_double('ambient-dark-threshold'),
+            this._settings.get_double('ambient-light-threshold')
+        );
+    }
+
+    // Returns the scheme the light level asks for, or null to keep the
+    // current one.
+    _getAmbientTarget() {
+        if (!hasAmbientLight(this._sensorProxy)) return null;
+
+        const zone = this._getLightZone();
+        if (this._ambientOverrideZone !== null) {
+            if (zone === this._ambientOverrideZone) return null;
+            this._ambientOverrideZone = null;
+        }
+
+        const colorScheme = this._getSetting(this._interfaceSettings, 'color-scheme', 'default');
+        const isDark = colorScheme.includes('dark');
+        if (zone < 0 && !isDark) return true;
+        if (zone > 0 && isDark) return false;
+        return null;
+    }
+
+    // The level has to stay past a threshold for the whole hold time, so a
+    // passing shadow or a lamp switched on briefly does not flip the theme.
+    _handleLightLevel() {
+        if (this._getAmbientTarget() === null) {
+            this._cleanupAmbientHoldTimer();
+            return;
+        }
+
+        if (this._ambientHoldTimerId) return;
+
+        const holdTime = this._settings.get_uint('ambient-hold-time');
+        this._ambientHoldTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, holdTime, () => {
+            this._ambientHoldTimerId = 0;
+            const target = this._getAmbientTarget();
+            if (target !== null) {
+                this._requestColorScheme(target);
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _cleanupAmbientHoldTimer() {
+        if (this._ambientHoldTimerId) {
+            GLib.source_remove(this._ambientHoldTimerId);
+            this._ambientHoldTimerId = 0;
+        }
+    }
+
+    _setupPowerSettingsMonitoring() {
+        ['power-saver-mode', 'low-battery-mode', 'low-battery-threshold'].forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._updatePowerMonitoring();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    _updatePowerMonitoring() {
+        const wanted = this._settings.get_string('power-saver-mode') !== 'none' ||
+            this._settings.get_string('low-battery-mode') !== 'none';
+
+        if (!wanted) {
+            this._cleanupPowerMonitoring();
+            this._updatePowerTrigger();
+            return;
+        }
+
+        if (this._powerProxies.length) {
+            this._updatePowerTrigger();
+            return;
+        }
+
+        this._powerCancellable = new Gio.Cancellable();
+        const onReady = (proxy, error) => {
+            if (error) {
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    console.warn(`Appearance Keeper: power state unavailable: ${error.message}`);
+                }
+                return;
+            }
+            this._updatePowerTrigger();
+        };
+
+        this._powerProfilesProxy = createPowerProfilesProxy(onReady, this._powerCancellable);
+        this._displayDeviceProxy = createDisplayDeviceProxy(onReady, this._powerCancellable);
+
+        this._powerProxies = [this._powerProfilesProxy, this._displayDeviceProxy].map(proxy => ({
+            proxy,
+            handlers: ['g-properties-changed', 'notify::g-name-owner'].map(signal =>
+                proxy.connect(signal, () => this._updatePowerTrigger())),
+        }));
+    }
+
+    _cleanupPowerMonitoring() {
+        if (this._powerCancellable) {
+            this._powerCancellable.cancel();
+            this._powerCancellable = null;
+        }
+
+        this._powerProxies.forEach(({ proxy, handlers }) => {
+            handlers.forEach(id => proxy.disconnect(id));
+        });
+        this._powerProxies = [];
+        this._powerProfilesProxy = null;
+        this._displayDeviceProxy = null;
+    }
+
+    // Power saving takes precedence over a low battery.
+    _getPowerTrigger() {
+        const powerSaverMode = this._settings.get_string('power-saver-mode');
+        if (powerSaverMode !== 'none' && isPowerSaverActive(this._powerProfilesProxy)) {
+            return { name: 'power-saver', isDark: powerSaverMode === 'dark' };
+        }
+
+        const lowBatteryMode = this._settings.get_string('low-battery-mode');
+        const threshold = this._settings.get_int('low-battery-threshold');
+        if (lowBatteryMode !== 'none' && isBatteryLow(this._displayDeviceProxy, threshold)) {
+            return { name: 'low-battery', isDark: lowBatteryMode === 'dark' };
+        }
+
+        return null;
+    }
+
+    _updatePowerTrigger() {
+        const trigger = this._getPowerTrigger();
+        const active = this._activePowerTrigger;
+
+        if (trigger?.name === active?.name && trigger?.isDark === active?.isDark) return;
+
+        if (trigger) {
+            if (!active) {
+                const colorScheme = this._getSetting(this._interfaceSettings, 'color-scheme', 'default');
+                this._schemeBeforeTrigger = colorScheme.includes('dark');
+            }
+            this._activePowerTrigger = trigger;
+            this._applyAutomaticScheme(trigger.isDark);
+            return;
+        }
+
+        // The condition cleared: go back to the mode used before, then let
+        // the schedule correct it if a transition happened meanwhile.
+        this._activePowerTrigger = null;
+        if (this._schemeBeforeTrigger !== null) {
+            this._applyAutomaticScheme(this._schemeBeforeTrigger);
+            this._schemeBeforeTrigger = null;
+        }
+        this._updateSchedule();
+    }
+
+    _setupSlideshowMonitoring() {
+        const slideshowKeys = [
+            'slideshow-interval', 'slideshow-shuffle',
+            ...MODES.flatMap(mode => [`${mode}-wallpaper-folder`, `${mode}-slideshow-excluded`])
+        ];
+
+        slideshowKeys.forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._restartSlideshow();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Only the folder of the active mode rotates. Its current image is shown
+    // right away, then the next one after each interval.
+    _restartSlideshow() {
+        this._cleanupSlideshowTimer();
+
+        const mode = this.isDarkMode() ? 'dark' : 'light';
+        if (!this._settings.get_string(`${mode}-wallpaper-folder`)) return;
+
+        this._showSlideshowImage(mode, 0);
+
+        const interval = this._settings.get_uint('slideshow-interval') * 60;
+        this._slideshowTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, interval, () => {
+            this._showSlideshowImage(mode, 1);
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    _cleanupSlideshowTimer() {
+        if (this._slideshowTimerId) {
+            GLib.source_remove(this._slideshowTimerId);
+            this._slideshowTimerId = 0;
+        }
+    }
+
+    async _showSlideshowImage(mode, step) {
+        const images = await listSlideshowImages(
+            this._settings.get_string(`${mode}-wallpaper-folder`),
+            this._settings.get_strv(`${mode}-slideshow-excluded`)
+        );
+        if (!this._backgroundSettings || !images.length) return;
+
+        const shuffle = this._settings.get_boolean('slideshow-shuffle');
+        let position = this._settings.get_uint(`${mode}-slideshow-position`) + step;
+        let seed = this._settings.get_uint(`${mode}-slideshow-seed`);
+
+        if (position >= images.length) {
+            position = 0;
+            // Each full round gets a new shuffled order.
+            if (step && shuffle) seed = GLib.random_int();
+        }
+
+        this._settings.set_uint(`${mode}-slideshow-position`, position);
+        this._settings.set_uint(`${mode}-slideshow-seed`, seed);
+
+        // Marked so the wallpaper handler does not take the step for a
+        // wallpaper picked by hand.
+        const image = getSlideshowOrder(images, shuffle, seed)[position];
+        this._slideshowStep = true;
+        try {
+            this._setSetting(this._backgroundSettings, WALLPAPER_KEYS[mode], image.get_uri());
+        } finally {
+            this._slideshowStep = false;
+        }
+    }
+
+    _setupTwilightMonitoring() {
+        ['twilight-enabled', 'twilight-duration', 'twilight-steps'].forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._updateTwilight();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // The saved wallpaper of a mode, which the background keys no longer
+    // show while twilight frames are up.
+    _getSavedWallpaper(mode) {
+        const profile = loadProfiles(this._settings)[this._settings.get_string(`${mode}-profile`)];
+        return profile?.['picture-uri'] || this._backgroundSettings.get_string(WALLPAPER_KEYS[mode]);
+    }
+
+    _getTwilightSources() {
+        const files = MODES.map(mode => {
+            const uri = this._getSavedWallpaper(mode);
+            return uri && !isBackgroundXml(uri) ? Gio.File.new_for_uri(uri) : null;
+        });
+        return files.every(file => file?.is_native() && file.query_exists(null)) ? files : null;
+    }
+
+    // Returns the twilight window around the current scheduled switch, or
+    // around the next one when none is under way.
+    _getTwilightWindow() {
+        if (!this._settings.get_boolean('twilight-enabled') ||
+            this._activePowerTrigger || this._isScheduleOverridden()) return null;
+
+        // Slideshows own the wallpaper keys.
+        if (MODES.some(mode => this._settings.get_string(`${mode}-wallpaper-folder`))) return null;
+
+        const config = readScheduleConfig(this._settings, this._getNightLightConfig());
+        const state = getScheduleState(config);
+        if (!state) return null;
+
+        const half = this._settings.get_uint('twilight-duration') * 30 * 1000;
+        const now = Date.now();
+        const [current] = getTransitions(config, new Date(now - half), new Date(now + half));
+        const transition = current ?? { time: state.nextTransition, isDark: !state.isDark };
+
+        return {
+            start: transition.time.getTime() - half,
+            end: transition.time.getTime() + half,
+            isDark: transition.isDark,
+        };
+    }
+
+    // Around a scheduled switch both wallpaper keys step through blended
+    // frames, from the image of the old mode to the one of the new mode.
+    async _updateTwilight() {
+        this._cleanupTwilightTimer();
+        const serial = ++this._twilightSerial;
+
+        const window = this._getTwilightWindow();
+        const sources = window && this._getTwilightSources();
+        if (!sources) {
+            this._endTwilight();
+            return;
+        }
+
+        if (Date.now() < window.start) {
+            this._endTwilight();
+            this._scheduleTwilightUpdate(window.start - Date.now());
+            return;
+        }
+
+        const steps = this._settings.get_uint('twilight-steps');
+        let frames;
+        try {
+            frames = await renderTwilightFrames(sources[0], sources[1], steps, this._getRenderSize());
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot render twilight frames: ${e.message}`);
+            this._endTwilight();
+            return;
+        }
+        if (serial !== this._twilightSerial || !this._backgroundSettings) return;
+
+        const progress = (Date.now() - window.start) / (window.end - window.start);
+        const darkness = window.isDark ? progress : 1 - progress;
+        const index = Math.min(steps + 1, Math.max(0, Math.round(darkness * (steps + 1))));
+        const images = [sources[0], ...frames, sources[1]];
+        this._showTwilightFrame(images[index].get_uri());
+
+        // The update after the last step finds the next window.
+        this._scheduleTwilightUpdate((window.end - window.start) / (steps + 1));
+    }
+
+    // Generated wallpapers need no more pixels than the largest monitor.
+    _getRenderSize() {
+        const sizes = Main.layoutManager.monitors.map(monitor => Math.max(monitor.width, monitor.height));
+        return sizes.length ? Math.max(...sizes) : 3840;
+    }
+
+    _showTwilightFrame(uri) {
+        this._twilightActive = true;
+        this._suspendSave = true;
+        MODES.forEach(mode => this._setSetting(this._backgroundSettings, WALLPAPER_KEYS[mode], uri));
+        this._suspendSave = false;
+    }
+
+    _endTwilight() {
+        if (!this._twilightActive || !this._backgroundSettings) return;
+
+        this._twilightActive = false;
+        this._suspendSave = true;
+        MODES.forEach(mode => {
+            this._setSetting(this._backgroundSettings, WALLPAPER_KEYS[mode], this._getSavedWallpaper(mode));
+        });
+        this._suspendSave = false;
+    }
+
+    _scheduleTwilightUpdate(milliseconds) {
+        const seconds = Math.max(1, Math.ceil(milliseconds / 1000));
+        this._twilightTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this._twilightTimerId = 0;
+            this._updateTwilight();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _cleanupTwilightTimer() {
+        if (this._twilightTimerId) {
+            GLib.source_remove(this._twilightTimerId);
+            this._twilightTimerId = 0;
+        }
+    }
+
+    _setupAutoAccentMonitoring() {
+        MODES.forEach(mode => {
+            const handler = this._settings.connect(`changed::${mode}-accent-auto`, () => {
+                this._updateAutoAccent(mode);
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // With the automatic accent, the accent of a mode follows the dominant
+    // colors of its wallpaper. The palette is kept for the preferences.
+    async _updateAutoAccent(mode) {
+        if (!this._settings.get_boolean(`${mode}-accent-auto`)) return;
+        const serial = ++this._accentSerials[mode];
+
+        let palette;
+        try {
+            let file = Gio.File.new_for_uri(this._getSavedWallpaper(mode));
+            if (isBackgroundXml(file.get_uri())) {
+                file = Gio.File.new_for_path(getImageAt(loadBackgroundXml(file.get_path())));
+            }
+            palette = await extractPalette(file);
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot sample the ${mode} wallpaper: ${e.message}`);
+            return;
+        }
+        if (serial !== this._accentSerials[mode] || !this._backgroundSettings) return;
+
+        this._settings.set_strv(`${mode}-accent-palette`, palette.map(entry => entry.color));
+        this._withChangeSource('automatic', () => {
+            this._setSetting(this._settings, `${mode}-accent-color`, pickAccent(palette));
+        });
+    }
+
+    _setupDarkVariantMonitoring() {
+        const variantKeys = [
+            'dark-variant-enabled', 'dark-variant-dim', 'dark-variant-desaturate',
+            'dark-variant-blur', 'dark-variant-overlay', 'dark-variant-overlay-opacity'
+        ];
+
+        variantKeys.forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._updateDarkVariant();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Renders the dark wallpaper from the light one and sets it as the dark
+    // wallpaper, which also stores it in the active dark profile.
+    async _updateDarkVariant() {
+        if (!this._settings.get_boolean('dark-variant-enabled')) return;
+        const serial = ++this._darkVariantSerial;
+
+        const lightUri = this._getSavedWallpaper('light');
+        if (!lightUri || isBackgroundXml(lightUri)) return;
+
+        let variant;
+        try {
+            variant = await generateDarkVariant(Gio.File.new_for_uri(lightUri),
+                readVariantOptions(this._settings), this._getRenderSize());
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot generate the dark wallpaper: ${e.message}`);
+            return;
+        }
+        if (serial !== this._darkVariantSerial || !this._backgroundSettings) return;
+
+        this._setSetting(this._backgroundSettings, WALLPAPER_KEYS.dark, variant.get_uri());
+    }
+
+    _setupTerminalMonitoring() {
+        MODES.map(mode => `${mode}-terminal-profiles`).forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._applyTerminalProfiles(this.isDarkMode());
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Makes the chosen profile of each installed terminal its default, so
+    // new windows and tabs use it.
+    _applyTerminalProfiles(isDark) {
+        const profiles = this._settings.get_value(`${isDark ? 'dark' : 'light'}-terminal-profiles`).deepUnpack();
+
+        getInstalledTerminals().forEach(terminal => {
+            const uuid = profiles[terminal.id];
+            if (uuid) setDefaultProfile(terminal, uuid);
+        });
+    }
+
+    _setupStyleSchemeMonitoring() {
+        MODES.forEach(mode => {
+            const handler = this._settings.connect(`changed::${mode}-style-schemes`, () => {
+                if (this.isDarkMode() === (mode === 'dark')) this._applyStyleSchemes(mode);
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Runs while saving is suspended, so nothing may escape from here.
+    _applyStyleSchemes(mode) {
+        const schemes = this._settings.get_value(`${mode}-style-schemes`).deepUnpack();
+        getInstalledEditors().forEach(editor => {
+            if (!schemes[editor.id]) return;
+            try {
+                setStyleScheme(editor, schemes[editor.id]);
+            } catch (e) {
+                console.warn(`Appearance Keeper: cannot set the ${editor.name} style scheme: ${e.message}`);
+            }
+        });
+    }
+
+    _setupGtk4Monitoring() {
+        ['light-gtk4-theme', 'dark-gtk4-theme', 'gtk4-theme-method'].forEach(key => {
             const handler = this._settings.connect(`changed::${key}`, () => {
-                this._handleExtensionSettingChange(key);
+                this._applyGtk4Theme(this.isDarkMode() ? 'dark' : 'light');
             });
             this._storeHandler(this._settings, handler);
         });
     }
 
+    // A mode without a GTK 4 theme gets the user's own files back. Apps
+    // already running keep their style until restarted.
+    _applyGtk4Theme(mode) {
+        const name = this._getValidatedSetting(this._settings, `${mode}-gtk4-theme`);
+        try {
+            if (!name) {
+                restoreGtk4Files();
+                return;
+            }
+
+            const themeDir = findGtk4ThemeDir(name);
+            if (!themeDir) {
+                console.warn(`Appearance Keeper: GTK 4 theme ${name} is not installed`);
+                return;
+            }
+            installGtk4Theme(themeDir, this._settings.get_string('gtk4-theme-method'));
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot install the GTK 4 theme ${name}: ${e.message}`);
+        }
+    }
+
+    // GNOME Shell disables extensions while the screen is locked; the theme
+    // stays for that, so ~/.config/gtk-4.0 does not change at every lock.
+    _restoreGtk4Files() {
+        if (Main.sessionMode.isLocked || Main.sessionMode.currentMode === 'unlock-dialog') return;
+
+        try {
+            restoreGtk4Files();
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot restore the GTK 4 files: ${e.message}`);
+        }
+    }
+
+    _setupQtMonitoring() {
+        MODES.forEach(mode => {
+            const handler = this._settings.connect(`changed::${mode}-qt-settings`, () => {
+                if (this.isDarkMode() === (mode === 'dark')) this._applyQtSettings(mode);
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Running Qt apps keep their look until they restart.
+    _applyQtSettings(mode) {
+        try {
+            applyQtSettings(this._settings.get_value(`${mode}-qt-settings`).deepUnpack());
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot update the Qt settings: ${e.message}`);
+        }
+    }
+
+    _setupFlatpakMonitoring() {
+        const keys = ['flatpak-overrides', ...MODES.flatMap(mode => [`${mode}-gtk-theme`, `${mode}-icon-theme`])];
+        keys.forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._updateFlatpakOverrides(this.isDarkMode());
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    // Turning the option off takes back every entry added so far.
+    _updateFlatpakOverrides(isDark) {
+        const prefix = isDark ? 'dark' : 'light';
+        const wanted = this._settings.get_boolean('flatpak-overrides')
+            ? getThemeOverrides(this._getValidatedSetting(this._settings, `${prefix}-gtk-theme`),
+                this._getValidatedSetting(this._settings, `${prefix}-icon-theme`), isDark)
+            : { filesystems: [], environment: {} };
+        const owned = {
+            filesystems: this._settings.get_strv('flatpak-owned-filesystems'),
+            environment: this._settings.get_value('flatpak-owned-environment').deepUnpack(),
+        };
+        if (!wanted.filesystems.length && !Object.keys(wanted.environment).length &&
+            !owned.filesystems.length && !Object.keys(owned.environment).length)
+            return;
+
+        try {
+            const nowOwned = updateGlobalOverride(wanted, owned);
+            this._settings.set_strv('flatpak-owned-filesystems', nowOwned.filesystems);
+            this._settings.set_value('flatpak-owned-environment',
+                new GLib.Variant('a{ss}', nowOwned.environment));
+        } catch (e) {
+            console.warn(`Appearance Keeper: cannot update the Flatpak override: ${e.message}`);
+        }
+    }
+
+    _setupManagedFilesMonitoring() {
+        const handler = this._settings.connect('changed::managed-files', () => {
+            this._applyManagedFiles(this.isDarkMode());
+        });
+        this._storeHandler(this._settings, handler);
+    }
+
+    // Rewrites the managed config files for a mode. One broken entry does
+    // not keep the others from being applied.
+    _applyManagedFiles(isDark) {
+        const mode = isDark ? 'dark' : 'light';
+        const values = getPlaceholderValues(this._settings, mode);
+
+        loadManagedFiles(this._settings).forEach(entry => {
+            const errors = validateManagedFile(entry);
+            if (errors.length) {
+                console.warn(`Appearance Keeper: skipping ${entry.path}: ${errors.join('; ')}`);
+                return;
+            }
+
+            try {
+                applyManagedFile(this._settings, entry, mode, values);
+            } catch (e) {
+                console.warn(`Appearance Keeper: cannot update ${entry.path}: ${e.message}`);
+            }
+        });
+    }
+
+    _setupIndicatorMonitoring() {
+        const handler = this._settings.connect('changed::show-quick-settings', () => {
+            this._updateIndicator();
+        });
+        this._storeHandler(this._settings, handler);
+    }
+
+    _updateIndicator() {
+        if (!this._settings.get_boolean('show-quick-settings')) {
+            this._destroyIndicator();
+            return;
+        }
+
+        if (this._indicator) return;
+
+        this._indicator = new AppearanceKeeperIndicator(this);
+        Main.panel.statusArea.quickSettings.addExternalIndicator(this._indicator);
+    }
+
+    _destroyIndicator() {
+        if (this._indicator) {
+            this._indicator.destroy();
+            this._indicator = null;
+        }
+    }
+
+    _setupInhibitionMonitoring() {
+        const fullscreenHandler = global.display.connect('in-fullscreen-changed', () => {
+            this._updateInhibition();
+        });
+        this._storeHandler(global.display, fullscreenHandler);
+
+        // Screencasts, screen sharing and remote desktop sessions all go
+        // through a remote access handle.
+        const controller = global.backend.get_remote_access_controller();
+        const handleHandler = controller.connect('new-handle', (ctrl, handle) => {
+            this._trackRemoteAccessHandle(handle);
+            this._updateInhibition();
+        });
+        this._storeHandler(controller, handleHandler);
+
+        // Handles created before enable are not announced again, and the
+        // controller cannot list them. The Shell's own screencast at least
+        // shows on the screenshot UI.
+        const screencastHandler = Main.screenshotUI.connect('notify::screencast-in-progress', () => {
+            this._updateInhibition();
+        });
+        this._storeHandler(Main.screenshotUI, screencastHandler);
+
+        ['inhibit-when-fullscreen', 'inhibit-when-sharing'].forEach(key => {
+            const handler = this._settings.connect(`changed::${key}`, () => {
+                this._updateInhibition();
+            });
+            this._storeHandler(this._settings, handler);
+        });
+    }
+
+    _trackRemoteAccessHandle(handle) {
+        if (this._remoteAccessHandles.has(handle)) return;
+
+        const stoppedId = handle.connect('stopped', () => {
+            handle.disconnect(stoppedId);
+            this._remoteAccessHandles.delete(handle);
+            this._updateInhibition();
+        });
+        this._remoteAccessHandles.set(handle, stoppedId);
+    }
+
+    _cleanupRemoteAccessHandles() {
+        this._remoteAccessHandles.forEach((id, handle) => handle.disconnect(id));
+        this._remoteAccessHandles.clear();
+    }
+
+    _isFullscreenActive() {
+        const display = global.display;
+        for (let i = 0; i < display.get_n_monitors(); i++) {
+            if (display.get_monitor_in_fullscreen(i)) return true;
+        }
+        return false;
+    }
+
+    _isAutomaticSwitchInhibited() {
+        if (this._settings.get_boolean('inhibit-when-fullscreen') && this._isFullscreenActive()) {
+            return true;
+        }
+        return this._settings.get_boolean('inhibit-when-sharing') &&
+            (this._remoteAccessHandles.size > 0 || Main.screenshotUI.screencast_in_progress);
+    }
+
+    _updateInhibition() {
+        if (this._pendingScheme === null || this._isAutomaticSwitchInhibited()) return;
+
+        const isDark = this._pendingScheme;
+        this._pendingScheme = null;
+        this._setColorScheme(isDark);
+    }
+
+    _getNightLightConfig() {
+        if (!this._colorSettings) return null;
+        return readNightLightConfig(this._colorSettings, this._colorProxy);
+    }
+
     _handleExtensionSettingChange(key) {
         if (this._suspendApply) return;
 
@@ -177,6 +1177,16 @@ class AppearanceKeeperManager {
             case 'shell-theme':
                 this._setShellTheme(value);
                 break;
+            case 'picture-options':
+            case 'primary-color':
+            case 'secondary-color':
+            case 'color-shading-type':
+                this._setSetting(this._backgroundSettings, settingType, value || null);
+                break;
+            case 'lock-screen-uri':
+                this._setSetting(this._screensaverSettings, 'picture-uri',
+                    this._getSetting(this._settings, key) || null);
+                break;
         }
         
         this._suspendSave = false;
@@ -206,6 +1216,8 @@ class AppearanceKeeperManager {
 
     _resetAllSettings() {
         this._interfaceSettings = null;
+        this._backgroundSettings = null;
+        this._screensaverSettings = null;
         this._userThemeSettings = null;
     }
 
@@ -245,12 +1257,59 @@ class AppearanceKeeperManager {
             case 'shell-theme':
                 value = this._getSetting(this._userThemeSettings, 'name', '');
                 break;
+            case 'picture-options':
+            case 'primary-color':
+            case 'secondary-color':
+            case 'color-shading-type':
+                value = this._getValidatedSetting(this._backgroundSettings, parameter);
+                break;
+            case 'lock-screen-uri':
+                value = this._getSetting(this._screensaverSettings, 'picture-uri');
+                break;
             default:
                 return;
         }
 
         const key = `${prefix}-${parameter}`;
-        this._setSetting(this._settings, key, value);
+
+        // Picking an accent by hand ends the automatic one.
+        if (parameter === 'accent-color' && value !== this._settings.get_string(key)) {
+            this._settings.set_boolean(`${prefix}-accent-auto`, false);
+        }
+
+        this._withChangeSource('desktop', () => this._setSetting(this._settings, key, value));
+    }
+
+    // Keeps the last saved value of each journaled key, since change
+    // signals do not carry the old one.
+    _snapshotSavedValues() {
+        MODES.forEach(mode => {
+            HISTORY_KEYS.forEach(key => {
+                this._savedValues[`${mode}-${key}`] = key === 'picture-uri'
+                    ? this._getSavedWallpaper(mode)
+                    : this._settings.get_string(`${mode}-${key}`);
+            });
+        });
+    }
+
+    // Signals are emitted synchronously, so the source set around a write
+    // is the one its journal entry gets.
+    _withChangeSource(source, callback) {
+        const previous = this._changeSource;
+        this._changeSource = source;
+        try {
+            callback();
+        } finally {
+            this._changeSource = previous;
+        }
+    }
+
+    _journalChange(mode, key, value, source) {
+        const oldValue = this._savedValues[`${mode}-${key}`] ?? '';
+        if (oldValue === value) return;
+
+        this._savedValues[`${mode}-${key}`] = value;
+        recordChange(this._settings, { mode, key, oldValue, newValue: value, source });
     }
 
     _setShellTheme(themeName) {
@@ -269,7 +1328,159 @@ class AppearanceKeeperManager {
     _handleColorSchemeChange() {
         const colorScheme = this._getSetting(this._interfaceSettings, 'color-scheme', 'default');
         const isDark = colorScheme.includes('dark');
+
+        if (!this._automaticSchemeChange) {
+            this._handleManualSchemeChange(isDark);
+        }
+
+        // Before hooks may prepare what the themes rely on, so the rest
+        // waits for them. A newer change supersedes this one.
+        const mode = isDark ? 'dark' : 'light';
+        const serial = ++this._schemeChangeSerial;
+        const hooks = getHooks(this._settings, mode, 'before');
+        if (!hooks.length) {
+            this._finishColorSchemeChange(isDark);
+            return;
+        }
+
+        this._runHooks(hooks, mode, 'before').then(() => {
+            if (serial === this._schemeChangeSerial && this._settings)
+                this._finishColorSchemeChange(isDark);
+        }).catch(e => {
+            console.warn(`Appearance Keeper: cannot finish the switch to ${mode} mode: ${e.message}`);
+        });
+    }
+
+    _finishColorSchemeChange(isDark) {
+        const mode = isDark ? 'dark' : 'light';
+
         this._applyThemeForScheme(isDark);
+        this._applyTerminalProfiles(isDark);
+        this._applyManagedFiles(isDark);
+        this._restartSlideshow();
+        this._updateTwilight();
+        this._indicator?.sync();
+        this._dbusService?.emitModeChanged(mode);
+        this._runHooks(getHooks(this._settings, mode, 'after'), mode, 'after').catch(e => {
+            console.warn(`Appearance Keeper: cannot run the after hooks: ${e.message}`);
+        });
+    }
+
+    // Runs hooks side by side and records how each one ended.
+    async _runHooks(hooks, mode, stage) {
+        if (!hooks.length) return;
+
+        this._hooksCancellable ??= new Gio.Cancellable();
+        const cancellable = this._hooksCancellable;
+        const environment = getHookEnvironment(this._settings, mode, stage);
+        const timeout = this._settings.get_uint('hook-timeout');
+
+        await Promise.all(hooks.map(async hook => {
+            const result = await runHook(hook, environment, timeout, cancellable);
+            if (cancellable.is_cancelled()) return;
+
+            recordHookResult(this._settings, hook.id, result);
+            if (result.status !== 0)
+                console.warn(`Appearance Keeper: hook ${hook.name || hook.command} failed: ${result.output}`);
+        }));
+    }
+
+    // Hooks still running are killed, and a change waiting for them is
+    // dropped.
+    _cleanupHooks() {
+        this._schemeChangeSerial++;
+        this._hooksCancellable?.cancel();
+        this._hooksCancellable = null;
+    }
+
+    _setColorScheme(isDark) {
+        const current = this._getSetting(this._interfaceSettings, 'color-scheme', 'default');
+        if (current.includes('dark') === isDark) return;
+
+        this._automaticSchemeChange = true;
+        this._interfaceSettings.set_string('color-scheme', isDark ? 'prefer-dark' : 'default');
+        this._automaticSchemeChange = false;
+    }
+
+    // Schedules and sensors go through here, so that an active power
+    // trigger keeps its mode until its condition clears.
+    _requestColorScheme(isDark) {
+        if (this._activePowerTrigger) return;
+        this._applyAutomaticScheme(isDark);
+    }
+
+    // Automatic changes wait while the desktop is on show; the latest one
+    // is applied when the inhibition ends.
+    _applyAutomaticScheme(isDark) {
+        if (this._isAutomaticSwitchInhibited()) {
+            this._pendingScheme = isDark;
+            return;
+        }
+
+        this._pendingScheme = null;
+        this._setColorScheme(isDark);
+    }
+
+    _getScheduleState() {
+        return getScheduleState(readScheduleConfig(this._settings, this._getNightLightConfig()));
+    }
+
+    _isScheduleOverridden() {
+        const overrideUntil = this._settings.get_int64('schedule-override-until');
+        return overrideUntil > GLib.get_real_time() / GLib.USEC_PER_SEC;
+    }
+
+    _handleManualSchemeChange(isDark) {
+        this._pendingScheme = null;
+
+        // A manual change while a power trigger holds the mode is kept when
+        // the trigger clears.
+        if (this._activePowerTrigger) {
+            this._schemeBeforeTrigger = null;
+        }
+
+        // With the light sensor, a manual change wins until the light level
+        // moves to another zone.
+        if (hasAmbientLight(this._sensorProxy)) {
+            this._cleanupAmbientHoldTimer();
+            this._ambientOverrideZone = this._getLightZone();
+        }
+
+        const state = this._getScheduleState();
+        if (!state) return;
+
+        // A manual change wins until the next scheduled transition;
+        // switching back to the scheduled scheme ends the override.
+        const overrideUntil = state.isDark === isDark
+            ? 0
+            : Math.floor(state.nextTransition.getTime() / 1000);
+        this._settings.set_int64('schedule-override-until', overrideUntil);
+    }
+
+    _updateSchedule() {
+        this._cleanupScheduleTimer();
+
+        const state = this._getScheduleState();
+        this._updateTwilight();
+        if (!state) return;
+
+        if (!this._isScheduleOverridden()) {
+            this._requestColorScheme(state.isDark);
+        }
+
+        const seconds = Math.max(1, Math.ceil((state.nextTransition.getTime() - Date.now()) / 1000));
+        this._scheduleTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this._scheduleTimerId = 0;
+            this._updateSchedule();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _cleanupScheduleTimer() {
+        if (this._scheduleTimerId) {
+            GLib.source_remove(this._scheduleTimerId);
+            this._scheduleTimerId = 0;
+        }
     }
 
     _applyThemeForScheme(isDark) {
@@ -289,6 +1500,10 @@ class AppearanceKeeperManager {
         };
 
         this._setSetting(this._interfaceSettings, 'gtk-theme', themes.gtk);
+        this._applyGtk4Theme(prefix);
+        this._applyStyleSchemes(prefix);
+        this._applyQtSettings(prefix);
+        this._updateFlatpakOverrides(isDark);
         this._setSetting(this._interfaceSettings, 'icon-theme', themes.icon);
         this._setSetting(this._interfaceSettings, 'cursor-theme', themes.cursor);
         this._setSetting(this._interfaceSettings, 'accent-color', themes.accent);
@@ -298,10 +1513,115 @@ class AppearanceKeeperManager {
             this._setShellTheme(themes.shell);
         }
 
+        // Empty values were never saved for this mode and leave the
+        // current ones alone.
+        BACKGROUND_KEYS.forEach(key => {
+            const value = this._getValidatedSetting(this._settings, `${prefix}-${key}`);
+            this._setSetting(this._backgroundSettings, key, value || null);
+        });
+
+        const lockScreenUri = this._getSetting(this._settings, `${prefix}-lock-screen-uri`);
+        this._setSetting(this._screensaverSettings, 'picture-uri', lockScreenUri || null);
+
         this._suspendApply = false;
         this._suspendSave = false;
     }
 
+    isDarkMode() {
+        const colorScheme = this._getSetting(this._interfaceSettings, 'color-scheme', 'default');
+        return colorScheme.includes('dark');
+    }
+
+    toggleColorScheme() {
+        this._toggleColorScheme();
+    }
+
+    openPreferences() {
+        this._openPreferences();
+    }
+
+    // Returns the saved values of a mode along with its active profile.
+    getSavedSet(mode) {
+        const set = { profile: this._settings.get_string(`${mode}-profile`) };
+        PROFILE_KEYS.forEach(key => {
+            set[key] = this._getValidatedSetting(this._settings, `${mode}-${key}`);
+        });
+        set['lock-screen-uri'] = this._getSetting(this._settings, `${mode}-lock-screen-uri`);
+        set['picture-uri'] = this._getSavedWallpaper(mode);
+        return set;
+    }
+
+    reapplySavedSet() {
+        this._applyThemeForScheme(this.isDarkMode());
+    }
+
+    // Changes the saved set of a mode; it shows right away when that mode
+    // is active. A 'profile' entry activates that profile first.
+    applySet(mode, values) {
+        this._withChangeSource('extension', () => this._applySet(mode, values));
+    }
+
+    _applySet(mode, values) {
+        const allowed = ['profile', 'picture-uri', ...PROFILE_KEYS];
+        const unknown = Object.keys(values).filter(key => !allowed.includes(key));
+        if (unknown.length) {
+            throw new Error(`Unknown keys: ${unknown.join(', ')}`);
+        }
+
+        const schema = this._backgroundSettings.settings_schema;
+        BACKGROUND_KEYS.forEach(key => {
+            if (values[key] && !schema.get_key(key).range_check(new GLib.Variant('s', values[key]))) {
+                throw new Error(`Invalid value "${values[key]}" for ${key}`);
+            }
+        });
+
+        if (values.profile !== undefined) {
+            const profile = loadProfiles(this._settings)[values.profile];
+            if (profile?.['color-scheme'] !== mode) {
+                throw new Error(`No ${mode} profile named "${values.profile}"`);
+            }
+            activateProfile(this._settings, this._backgroundSettings, values.profile);
+        }
+
+        PROFILE_KEYS.forEach(key => {
+            if (values[key] !== undefined) {
+                this._setSetting(this._settings, `${mode}-${key}`, values[key]);
+            }
+        });
+
+        if (values['picture-uri'] !== undefined) {
+            this._setSetting(this._backgroundSettings, WALLPAPER_KEYS[mode], values['picture-uri']);
+        }
+    }
+
+    // Stores what is on screen now as the saved set of a mode, wallpaper
+    // included.
+    saveCurrentAs(mode) {
+        this._withChangeSource('extension', () => this._saveCurrentAs(mode));
+    }
+
+    _saveCurrentAs(mode) {
+        ['gtk-theme', 'icon-theme', 'cursor-theme', 'accent-color'].forEach(parameter => {
+            const value = this._getValidatedSetting(this._interfaceSettings, parameter);
+            this._setSetting(this._settings, `${mode}-${parameter}`, value);
+        });
+
+        const shellTheme = this._getSetting(this._userThemeSettings, 'name', '');
+        this._setSetting(this._settings, `${mode}-shell-theme`, shellTheme);
+
+        BACKGROUND_KEYS.forEach(key => {
+            const value = this._getValidatedSetting(this._backgroundSettings, key);
+            this._setSetting(this._settings, `${mode}-${key}`, value);
+        });
+
+        const lockScreenUri = this._getSetting(this._screensaverSettings, 'picture-uri');
+        this._setSetting(this._settings, `${mode}-lock-screen-uri`, lockScreenUri);
+
+        const currentMode = this.isDarkMode() ? 'dark' : 'light';
+        const uri = this._getSavedWallpaper(currentMode);
+        this._setSetting(this._backgroundSettings, WALLPAPER_KEYS[mode], uri);
+    }
+
     _registerKeybinding() {
         Main.wm.addKeybinding(
             this._keybindingId,
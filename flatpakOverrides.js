@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Entries of the user's Flatpak global override that give sandboxed apps
+// the GTK and icon themes of the current mode.
+//
+// Flatpak apps only see themes from the user's dirs once these are exposed;
+// themes under /usr stay out of reach and must come as Flatpak extensions.
+// Entries this module adds are remembered, so it removes only those and
+// never touches what the user wrote.
+
+import GLib from 'gi://GLib';
+
+const fn = (...args) => GLib.build_filenamev(args);
+
+const OVERRIDE_FILE = fn(GLib.get_user_data_dir(), 'flatpak', 'overrides', 'global');
+
+export function isFlatpakInstalled() {
+    return GLib.find_program_in_path('flatpak') !== null;
+}
+
+function toHomePath(path) {
+    const home = GLib.get_home_dir();
+    return path.startsWith(`${home}/`) ? `~${path.slice(home.length)}` : path;
+}
+
+// Only user dirs can be exposed to the sandbox.
+function findUserThemeDir(type, name, marker) {
+    return [fn(GLib.get_home_dir(), `.${type}`), fn(GLib.get_user_data_dir(), type)]
+        .map(dir => fn(dir, name))
+        .find(dir => GLib.file_test(fn(dir, marker), GLib.FileTest.EXISTS)) ?? null;
+}
+
+// Returns the filesystems and environment a mode needs. Adwaita has no
+// dark copy of its own and takes the ':dark' variant instead.
+//
+// Only the folder of each chosen theme is exposed. GTK takes the icon theme
+// name from the settings portal; ICON_THEME carries it for applications and
+// launch scripts in the sandbox that do not use the portal.
+export function getThemeOverrides(gtkTheme, iconTheme, isDark) {
+    const filesystems = [];
+    const environment = {};
+
+    if (gtkTheme) {
+        const dir = findUserThemeDir('themes', gtkTheme, 'gtk-3.0');
+        if (dir) filesystems.push(`${toHomePath(dir)}:ro`);
+        environment['GTK_THEME'] = isDark && gtkTheme === 'Adwaita' ? 'Adwaita:dark' : gtkTheme;
+    }
+
+    if (iconTheme) {
+        const dir = findUserThemeDir('icons', iconTheme, 'index.theme');
+        if (dir?.startsWith(`${GLib.get_user_data_dir()}/`))
+            filesystems.push(`xdg-data/icons/${iconTheme}:ro`);
+        else if (dir)
+            filesystems.push(`${toHomePath(dir)}:ro`);
+        environment['ICON_THEME'] = iconTheme;
+    }
+
+    return { filesystems, environment };
+}
+
+function getStringList(keyFile, group, key) {
+    try {
+        return keyFile.get_string_list(group, key);
+    } catch (e) {
+        return [];
+    }
+}
+
+function getString(keyFile, group, key) {
+    try {
+        return keyFile.get_string(group, key);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Brings the override file to the wanted entries, given the ones added
+// earlier. Returns the entries now owned, to pass back on the next call.
+// An environment variable whose value is not the one last written belongs
+// to the user and is left alone.
+export function updateGlobalOverride(wanted, owned) {
+    const keyFile = new GLib.KeyFile();
+    try {
+        keyFile.load_from_file(OVERRIDE_FILE, GLib.KeyFileFlags.KEEP_COMMENTS);
+    } catch (e) {
+        if (!e.matches(GLib.FileError, GLib.FileError.NOENT)) throw e;
+    }
+
+    let changed = false;
+    const nowOwned = { filesystems: [], environment: {} };
+
+    const current = getStringList(keyFile, 'Context', 'filesystems');
+    const filesystems = current.filter(entry =>
+        !owned.filesystems.includes(entry) || wanted.filesystems.includes(entry));
+    wanted.filesystems.forEach(entry => {
+        if (!filesystems.includes(entry)) filesystems.push(entry);
+        if (!current.includes(entry) || owned.filesystems.includes(entry))
+            nowOwned.filesystems.push(entry);
+    });
+
+    if (filesystems.join(';') !== current.join(';')) {
+        if (filesystems.length)
+            keyFile.set_string_list('Context', 'filesystems', filesystems);
+        else
+            keyFile.remove_key('Context', 'filesystems');
+        changed = true;
+    }
+
+    const names = new Set([...Object.keys(owned.environment), ...Object.keys(wanted.environment)]);
+    names.forEach(name => {
+        const value = getString(keyFile, 'Environment', name);
+        if (value !== null && value !== owned.environment[name]) return;
+
+        const wantedValue = wanted.environment[name];
+        if (wantedValue) {
+            nowOwned.environment[name] = wantedValue;
+            if (value === wantedValue) return;
+            keyFile.set_string('Environment', name, wantedValue);
+        } else {
+            if (value === null) return;
+            keyFile.remove_key('Environment', name);
+        }
+        changed = true;
+    });
+
+    if (changed) {
+        GLib.mkdir_with_parents(GLib.path_get_dirname(OVERRIDE_FILE), 0o755);
+        keyFile.save_to_file(OVERRIDE_FILE);
+    }
+    return nowOwned;
+}
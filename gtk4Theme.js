@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// GTK 4 and libadwaita themes, which GTK 4 only loads from
+// ~/.config/gtk-4.0. The theme's files are linked or copied there; the
+// user's own files are moved aside on the first install and put back by
+// restoreGtk4Files(). Files changed or added there after an install are
+// moved aside too, to a dir of their own, rather than deleted.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { getDirs } from './themes.js';
+
+const fn = (...args) => GLib.build_filenamev(args);
+
+const THEME_FILES = ['gtk.css', 'gtk-dark.css', 'assets'];
+
+const CONFIG_DIR = Gio.File.new_for_path(fn(GLib.get_user_config_dir(), 'gtk-4.0'));
+const BACKUP_DIR = Gio.File.new_for_path(fn(GLib.get_user_data_dir(), 'appearance-keeper', 'gtk4-backup'));
+
+// Tells what is installed now, so an unchanged theme is not reinstalled,
+// and how the files looked right after, so later changes are noticed.
+const STAMP_FILE = BACKUP_DIR.get_child('.installed');
+
+export function findGtk4ThemeDir(name) {
+    return getDirs('themes')
+        .map(dir => fn(dir, name, 'gtk-4.0'))
+        .find(dir => GLib.file_test(fn(dir, 'gtk.css'), GLib.FileTest.EXISTS)) ?? null;
+}
+
+// Dangling links count as existing.
+function exists(file) {
+    return file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) !== Gio.FileType.UNKNOWN;
+}
+
+function deleteRecursive(file) {
+    if (file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) === Gio.FileType.DIRECTORY) {
+        const children = file.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let info;
+        while ((info = children.next_file(null)))
+            deleteRecursive(file.get_child(info.get_name()));
+        children.close(null);
+    }
+    file.delete(null);
+}
+
+function copyRecursive(source, target) {
+    if (source.query_file_type(Gio.FileQueryInfoFlags.NONE, null) !== Gio.FileType.DIRECTORY) {
+        source.copy(target, Gio.FileCopyFlags.OVERWRITE, null, null);
+        return;
+    }
+
+    target.make_directory(null);
+    const children = source.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+    let info;
+    while ((info = children.next_file(null)))
+        copyRecursive(source.get_child(info.get_name()), target.get_child(info.get_name()));
+    children.close(null);
+}
+
+// One line per file, down to sizes and modification times.
+function describeFile(file, path) {
+    const info = file.query_info('standard::type,standard::size,standard::symlink-target,time::modified',
+        Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+    const modified = info.get_modification_date_time()?.to_unix() ?? 0;
+    const lines = [`${path} ${info.get_file_type()} ${info.get_size()} ${modified} ${info.get_symlink_target() ?? ''}`];
+
+    if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+        const names = [];
+        const children = file.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let child;
+        while ((child = children.next_file(null)))
+            names.push(child.get_name());
+        children.close(null);
+
+        names.sort().forEach(name => lines.push(...describeFile(file.get_child(name), `${path}/${name}`)));
+    }
+    return lines;
+}
+
+function describeConfigFiles() {
+    return THEME_FILES
+        .filter(name => exists(CONFIG_DIR.get_child(name)))
+        .flatMap(name => describeFile(CONFIG_DIR.get_child(name), name))
+        .join('\n');
+}
+
+function readStamp() {
+    try {
+        const [, contents] = STAMP_FILE.load_contents(null);
+        return JSON.parse(new TextDecoder().decode(contents));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Clears the theme files from the config dir. Those that no longer look
+// like the last install go to a dir of their own instead, since the user
+// changed them.
+function removeInstalledFiles() {
+    const present = THEME_FILES.map(name => CONFIG_DIR.get_child(name)).filter(exists);
+    if (!present.length) return;
+
+    if (readStamp()?.files === describeConfigFiles()) {
+        present.forEach(deleteRecursive);
+        return;
+    }
+
+    const dir = Gio.File.new_for_path(fn(GLib.get_user_data_dir(), 'appearance-keeper',
+        `gtk4-changed-${GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S')}`));
+    dir.make_directory_with_parents(null);
+    present.forEach(file =>
+        file.move(dir.get_child(file.get_basename()), Gio.FileCopyFlags.NOFOLLOW_SYMLINKS, null, null));
+    console.warn(`Appearance Keeper: files changed in ${CONFIG_DIR.get_path()} were moved to ${dir.get_path()}`);
+}
+
+// Installs the files of a theme's gtk-4.0 dir by 'symlink' or 'copy'.
+// Returns false when they already were installed.
+export function installGtk4Theme(themeDir, method) {
+    const theme = `${method}:${themeDir}`;
+    const stamp = readStamp();
+    if (stamp?.theme === theme && stamp.files === describeConfigFiles()) return false;
+
+    try {
+        CONFIG_DIR.make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+
+    if (!exists(BACKUP_DIR)) {
+        BACKUP_DIR.make_directory_with_parents(null);
+        THEME_FILES.forEach(name => {
+            const file = CONFIG_DIR.get_child(name);
+            if (exists(file))
+                file.move(BACKUP_DIR.get_child(name), Gio.FileCopyFlags.NOFOLLOW_SYMLINKS, null, null);
+        });
+    } else {
+        removeInstalledFiles();
+    }
+
+    const source = Gio.File.new_for_path(themeDir);
+    THEME_FILES.forEach(name => {
+        const file = source.get_child(name);
+        if (!file.query_exists(null)) return;
+
+        if (method === 'copy')
+            copyRecursive(file, CONFIG_DIR.get_child(name));
+        else
+            CONFIG_DIR.get_child(name).make_symbolic_link(file.get_path(), null);
+    });
+
+    const installed = { theme, files: describeConfigFiles() };
+    STAMP_FILE.replace_contents(new TextEncoder().encode(JSON.stringify(installed)), null, false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    return true;
+}
+
+// Puts the user's own files back. Returns false when no theme was
+// installed.
+export function restoreGtk4Files() {
+    if (!exists(BACKUP_DIR)) return false;
+
+    removeInstalledFiles();
+    THEME_FILES.forEach(name => {
+        const backup = BACKUP_DIR.get_child(name);
+        if (exists(backup))
+            backup.move(CONFIG_DIR.get_child(name), Gio.FileCopyFlags.NOFOLLOW_SYMLINKS, null, null);
+    });
+
+    if (exists(STAMP_FILE)) STAMP_FILE.delete(null);
+    BACKUP_DIR.delete(null);
+    return true;
+}
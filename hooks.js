@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// User commands run around each mode change, shared by the extension and
+// the preferences' test runs.
+//
+// The 'hooks' key holds one dictionary per hook:
+//   id        random id the last result is recorded under
+//   name      label shown in the preferences
+//   command   run by /bin/sh -c in the home folder
+//   mode      'light' or 'dark', the mode being switched to
+//   stage     'before' or 'after' the themes are applied
+//   enabled   'true' or 'false'
+// The 'hook-results' key maps ids to (unix time, exit status, output).
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+
+export const STAGES = ['before', 'after'];
+
+export const ENVIRONMENT = {
+    APPEARANCE_KEEPER_MODE: 'light or dark',
+    APPEARANCE_KEEPER_STAGE: 'before or after',
+    APPEARANCE_KEEPER_GTK_THEME: 'gtk-theme',
+    APPEARANCE_KEEPER_SHELL_THEME: 'shell-theme',
+    APPEARANCE_KEEPER_ICON_THEME: 'icon-theme',
+    APPEARANCE_KEEPER_CURSOR_THEME: 'cursor-theme',
+    APPEARANCE_KEEPER_ACCENT_COLOR: 'accent-color',
+};
+
+// Status recorded when the command could not start or was stopped.
+export const NO_STATUS = -1;
+
+// Only the end of long outputs is kept.
+const MAX_OUTPUT = 4000;
+
+export function loadHooks(settings) {
+    return settings.get_value('hooks').deepUnpack();
+}
+
+// Results of hooks that are gone are dropped along.
+export function saveHooks(settings, hooks) {
+    settings.set_value('hooks', new GLib.Variant('aa{ss}', hooks));
+
+    const ids = hooks.map(hook => hook.id);
+    const results = loadHookResults(settings);
+    if (Object.keys(results).some(id => !ids.includes(id))) {
+        settings.set_value('hook-results', new GLib.Variant('a{s(xis)}',
+            Object.fromEntries(Object.entries(results).filter(([id]) => ids.includes(id)))));
+    }
+}
+
+export function getHooks(settings, mode, stage) {
+    return loadHooks(settings).filter(hook =>
+        hook.enabled === 'true' && hook.mode === mode && hook.stage === stage && hook.command);
+}
+
+export function loadHookResults(settings) {
+    return settings.get_value('hook-results').deepUnpack();
+}
+
+export function recordHookResult(settings, id, result) {
+    const results = loadHookResults(settings);
+    results[id] = [result.time, result.status, result.output];
+    settings.set_value('hook-results', new GLib.Variant('a{s(xis)}', results));
+}
+
+export function getHookEnvironment(settings, mode, stage) {
+    const environment = {
+        APPEARANCE_KEEPER_MODE: mode,
+        APPEARANCE_KEEPER_STAGE: stage,
+    };
+    ['gtk-theme', 'shell-theme', 'icon-theme', 'cursor-theme', 'accent-color'].forEach(key => {
+        const name = `APPEARANCE_KEEPER_${key.replace('-', '_').toUpperCase()}`;
+        environment[name] = settings.get_string(`${mode}-${key}`);
+    });
+    return environment;
+}
+
+// Runs a hook and resolves to { time, status, output } once it exits, is
+// killed after timeout seconds or through the cancellable. Output is
+// stdout and stderr together.
+export async function runHook(hook, environment, timeout, cancellable = null) {
+    const time = GLib.DateTime.new_now_local().to_unix();
+    const launcher = new Gio.SubprocessLauncher({
+        flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_MERGE,
+    });
+    launcher.set_cwd(GLib.get_home_dir());
+    Object.entries(environment).forEach(([name, value]) => launcher.setenv(name, value, true));
+
+    let process;
+    try {
+        process = launcher.spawnv(['/bin/sh', '-c', hook.command]);
+    } catch (e) {
+        return { time, status: NO_STATUS, output: e.message };
+    }
+
+    // Children the command left behind may hold the pipe open, so reading
+    // is cancelled along with the kill.
+    const reading = new Gio.Cancellable();
+    let stopReason = null;
+    const stop = reason => {
+        stopReason ??= reason;
+        process.force_exit();
+        reading.cancel();
+    };
+
+    let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, timeout, () => {
+        timeoutId = 0;
+        stop(`Timed out after ${timeout} s`);
+        return GLib.SOURCE_REMOVE;
+    });
+    const cancelId = cancellable?.connect(() => stop('Stopped')) ?? 0;
+
+    let output = '';
+    try {
+        [output] = await process.communicate_utf8_async(null, reading);
+        output ??= '';
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+            output = e.message;
+    } finally {
+        if (timeoutId) GLib.source_remove(timeoutId);
+        if (cancelId) cancellable.disconnect(cancelId);
+    }
+
+    output = output.trimEnd();
+    if (stopReason) output = output ? `${output}\n${stopReason}` : stopReason;
+    if (output.length > MAX_OUTPUT) output = `…${output.slice(-MAX_OUTPUT)}`;
+
+    const status = !stopReason && process.get_if_exited() ? process.get_exit_status() : NO_STATUS;
+    return { time, status, output };
+}
@@ -0,0 +1,259 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Config files of other applications rewritten on each mode change, shared
+// by the extension and the preferences window.
+//
+// The 'managed-files' key holds one dictionary per file:
+//   path      target file, '~/' allowed
+//   method    'snippets': 'light' and 'dark' hold the content of each mode
+//             'template': 'template' holds one content for both modes
+//             'symlink':  'light' and 'dark' are files the target links to
+// Contents may use {{placeholder}} values, see PLACEHOLDERS.
+//
+// The 'managed-links' key maps each target this subsystem turned into a
+// link to the file it links to, so that its own links are told apart from
+// the user's.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { ACCENT_COLORS } from './accentColors.js';
+
+export const METHODS = ['snippets', 'template', 'symlink'];
+
+export const PLACEHOLDERS = [
+    'mode', 'is-dark', 'accent', 'accent-color', 'gtk-theme', 'icon-theme', 'cursor-theme',
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z-]+)\s*\}\}/g;
+
+// Largest file compared line by line in a dry run.
+const MAX_DIFF_LINES = 2000;
+
+export function loadManagedFiles(settings) {
+    return settings.get_value('managed-files').deepUnpack();
+}
+
+export function saveManagedFiles(settings, entries) {
+    settings.set_value('managed-files', new GLib.Variant('aa{ss}', entries));
+}
+
+function loadManagedLinks(settings) {
+    return settings.get_value('managed-links').deepUnpack();
+}
+
+function setManagedLink(settings, path, source) {
+    const links = loadManagedLinks(settings);
+    if ((links[path] ?? null) === source) return;
+
+    if (source) links[path] = source;
+    else delete links[path];
+    settings.set_value('managed-links', new GLib.Variant('a{ss}', links));
+}
+
+export function expandPath(path) {
+    return path.startsWith('~/') ? GLib.build_filenamev([GLib.get_home_dir(), path.slice(2)]) : path;
+}
+
+export function getPlaceholderValues(settings, mode) {
+    const accent = settings.get_string(`${mode}-accent-color`);
+    return {
+        'mode': mode,
+        'is-dark': String(mode === 'dark'),
+        'accent': accent,
+        'accent-color': ACCENT_COLORS.find(a => a.value === accent)?.color ?? '',
+        'gtk-theme': settings.get_string(`${mode}-gtk-theme`),
+        'icon-theme': settings.get_string(`${mode}-icon-theme`),
+        'cursor-theme': settings.get_string(`${mode}-cursor-theme`),
+    };
+}
+
+export function renderTemplate(text, values) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? match);
+}
+
+function getContents(entry) {
+    if (entry.method === 'template') return [entry.template ?? ''];
+    if (entry.method === 'snippets') return [entry.light ?? '', entry.dark ?? ''];
+    return [];
+}
+
+// Returns the problems that keep an entry from being applied.
+export function validateManagedFile(entry) {
+    const errors = [];
+    const path = expandPath(entry.path ?? '');
+
+    if (!GLib.path_is_absolute(path))
+        errors.push('The target must be an absolute path or start with ~/');
+    if (!METHODS.includes(entry.method))
+        errors.push(`Unknown method "${entry.method}"`);
+
+    getContents(entry).forEach(text => {
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS.includes(name))
+                errors.push(`Unknown placeholder {{${name}}}`);
+        }
+    });
+
+    if (entry.method === 'symlink') {
+        ['light', 'dark'].forEach(mode => {
+            const source = expandPath(entry[mode] ?? '');
+            if (!GLib.path_is_absolute(source) || !GLib.file_test(source, GLib.FileTest.EXISTS))
+                errors.push(`The ${mode} file ${entry[mode] || '(empty)'} does not exist`);
+        });
+    }
+
+    return [...new Set(errors)];
+}
+
+function renderContent(entry, mode, values) {
+    const text = entry.method === 'template' ? entry.template : entry[mode];
+    return renderTemplate(text ?? '', values);
+}
+
+function getBackupFile(path) {
+    const name = path.replace(/\//g, '%');
+    return Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_data_dir(), 'appearance-keeper', 'backups', name,
+    ]));
+}
+
+// Dangling links count as existing.
+function exists(file) {
+    return file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) !== Gio.FileType.UNKNOWN;
+}
+
+// Keeps what the target is before it is replaced, unless it is a link this
+// subsystem made. A regular file is kept once, before the first change; a
+// link of the user's is kept as a link, each time one shows up, since it
+// usually points into a dotfiles repository.
+function backupOriginal(settings, target, path) {
+    if (!exists(target)) return;
+
+    const linkTarget = readLinkTarget(target);
+    if (linkTarget !== null && loadManagedLinks(settings)[path] === linkTarget) return;
+
+    let backup = getBackupFile(path);
+    if (exists(backup)) {
+        if (linkTarget === null) return;
+        backup = getBackupFile(`${path}.${GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S')}`);
+    }
+
+    try {
+        backup.get_parent().make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+    target.copy(backup, Gio.FileCopyFlags.NOFOLLOW_SYMLINKS | Gio.FileCopyFlags.OVERWRITE, null, null);
+}
+
+function readText(file) {
+    try {
+        const [, contents] = file.load_contents(null);
+        return new TextDecoder().decode(contents);
+    } catch (e) {
+        if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) return null;
+        throw e;
+    }
+}
+
+function readLinkTarget(file) {
+    try {
+        const info = file.query_info('standard::symlink-target', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        return info.get_symlink_target();
+    } catch (e) {
+        return null;
+    }
+}
+
+// Brings a target up to date for a mode. Contents are written to a temporary
+// file renamed over the target; links are made aside and renamed over it.
+// Returns false when the target already was up to date.
+export function applyManagedFile(settings, entry, mode, values) {
+    const path = expandPath(entry.path);
+    const target = Gio.File.new_for_path(path);
+    const parent = target.get_parent();
+
+    try {
+        parent.make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+
+    if (entry.method === 'symlink') {
+        const source = expandPath(entry[mode]);
+        if (readLinkTarget(target) === source) return false;
+
+        backupOriginal(settings, target, path);
+        const link = parent.get_child(`.${target.get_basename()}.appearance-keeper`);
+        if (exists(link)) link.delete(null);
+        link.make_symbolic_link(source, null);
+        link.move(target, Gio.FileCopyFlags.OVERWRITE | Gio.FileCopyFlags.NOFOLLOW_SYMLINKS, null, null);
+        setManagedLink(settings, path, source);
+        return true;
+    }
+
+    const content = renderContent(entry, mode, values);
+    if (readLinkTarget(target) === null && readText(target) === content) return false;
+
+    backupOriginal(settings, target, path);
+    target.replace_contents(new TextEncoder().encode(content), null, false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    setManagedLink(settings, path, null);
+    return true;
+}
+
+// Line diff from the longest common subsequence, enough for config files.
+function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const lengths = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && oldLines[i] === newLines[j]) {
+            lines.push(`  ${oldLines[i++]}`);
+            j++;
+        } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            lines.push(`- ${oldLines[i++]}`);
+        } else {
+            lines.push(`+ ${newLines[j++]}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Describes what applyManagedFile() would change for a mode, without
+// touching anything.
+export function previewManagedFile(entry, mode, values) {
+    const target = Gio.File.new_for_path(expandPath(entry.path));
+    const linkTarget = readLinkTarget(target);
+
+    if (entry.method === 'symlink') {
+        const source = expandPath(entry[mode]);
+        if (linkTarget === source) return 'No change';
+        return `${linkTarget ? `- link to ${linkTarget}` : '- regular file'}\n+ link to ${source}`;
+    }
+
+    const current = linkTarget === null ? readText(target) : null;
+    const content = renderContent(entry, mode, values);
+    if (current === content) return 'No change';
+    if (current === null)
+        return `${linkTarget ? `- link to ${linkTarget}\n` : ''}${content.split('\n').map(l => `+ ${l}`).join('\n')}`;
+
+    const oldLines = current.split('\n');
+    const newLines = content.split('\n');
+    if (oldLines.length > MAX_DIFF_LINES || newLines.length > MAX_DIFF_LINES)
+        return `The file would be replaced (${oldLines.length} lines by ${newLines.length})`;
+    return diffLines(oldLines, newLines);
+}
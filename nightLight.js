@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Access to the Night Light schedule of gnome-settings-daemon, shared by the
+// extension and the preferences window.
+
+import Gio from 'gi://Gio';
+
+export const COLOR_SCHEMA = 'org.gnome.settings-daemon.plugins.color';
+export const COLOR_KEYS = [
+    'night-light-enabled',
+    'night-light-schedule-automatic',
+    'night-light-schedule-from',
+    'night-light-schedule-to',
+];
+
+const BUS_NAME = 'org.gnome.SettingsDaemon.Color';
+const OBJECT_PATH = '/org/gnome/SettingsDaemon/Color';
+
+const ColorInterface = `
+<node>
+  <interface name="org.gnome.SettingsDaemon.Color">
+    <property name="NightLightActive" type="b" access="read"/>
+    <property name="Sunrise" type="d" access="read"/>
+    <property name="Sunset" type="d" access="read"/>
+  </interface>
+</node>`;
+
+const ColorProxy = Gio.DBusProxy.makeProxyWrapper(ColorInterface);
+
+// Any process owning the bus name is picked up, so a mock of the daemon on
+// the session bus, such as tests/fake-color-daemon.js, works the same as the
+// real one.
+export function createColorProxy(callback, cancellable = null) {
+    return new ColorProxy(Gio.DBus.session, BUS_NAME, OBJECT_PATH, callback, cancellable);
+}
+
+function isValidHour(hour) {
+    return typeof hour === 'number' && hour >= 0 && hour < 24;
+}
+
+// Returns the Night Light schedule as hours since midnight, plus the live
+// state reported by the daemon (null when the daemon is not running).
+export function readNightLightConfig(colorSettings, colorProxy = null) {
+    const hasDaemon = Boolean(colorProxy?.g_name_owner);
+    let from = colorSettings.get_double('night-light-schedule-from');
+    let to = colorSettings.get_double('night-light-schedule-to');
+
+    if (colorSettings.get_boolean('night-light-schedule-automatic') && hasDaemon &&
+        isValidHour(colorProxy.Sunset) && isValidHour(colorProxy.Sunrise)) {
+        from = colorProxy.Sunset;
+        to = colorProxy.Sunrise;
+    }
+
+    return {
+        enabled: colorSettings.get_boolean('night-light-enabled'),
+        active: hasDaemon ? Boolean(colorProxy.NightLightActive) : null,
+        from,
+        to,
+    };
+}
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Power profile and battery state, used to switch modes while saving power.
+
+import Gio from 'gi://Gio';
+import UPower from 'gi://UPowerGlib';
+
+const PowerProfilesInterface = `
+<node>
+  <interface name="org.freedesktop.UPower.PowerProfiles">
+    <property name="ActiveProfile" type="s" access="read"/>
+  </interface>
+</node>`;
+
+const DisplayDeviceInterface = `
+<node>
+  <interface name="org.freedesktop.UPower.Device">
+    <property name="IsPresent" type="b" access="read"/>
+    <property name="State" type="u" access="read"/>
+    <property name="Percentage" type="d" access="read"/>
+  </interface>
+</node>`;
+
+const PowerProfilesProxy = Gio.DBusProxy.makeProxyWrapper(PowerProfilesInterface);
+const DisplayDeviceProxy = Gio.DBusProxy.makeProxyWrapper(DisplayDeviceInterface);
+
+export function createPowerProfilesProxy(callback, cancellable = null) {
+    return new PowerProfilesProxy(
+        Gio.DBus.system,
+        'org.freedesktop.UPower.PowerProfiles',
+        '/org/freedesktop/UPower/PowerProfiles',
+        callback,
+        cancellable
+    );
+}
+
+export function createDisplayDeviceProxy(callback, cancellable = null) {
+    return new DisplayDeviceProxy(
+        Gio.DBus.system,
+        'org.freedesktop.UPower',
+        '/org/freedesktop/UPower/devices/DisplayDevice',
+        callback,
+        cancellable
+    );
+}
+
+export function isPowerSaverActive(proxy) {
+    return Boolean(proxy?.g_name_owner) && proxy.ActiveProfile === 'power-saver';
+}
+
+export function isBatteryLow(proxy, threshold) {
+    if (!proxy?.g_name_owner || !proxy.IsPresent) return false;
+    return proxy.State === UPower.DeviceState.DISCHARGING && proxy.Percentage <= threshold;
+}
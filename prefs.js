@@ -5,37 +5,170 @@ import Gtk from "gi://Gtk";
 import Gdk from "gi://Gdk";
 import GdkPixbuf from "gi://GdkPixbuf";
 import GLib from "gi://GLib";
+import Pango from "gi://Pango";
 
 import {
   ExtensionPreferences,
   gettext as _,
+  ngettext,
 } from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
 
+import { ACCENT_COLORS } from "./accentColors.js";
+import { loadScaledPixbuf, readVariantOptions, renderDarkVariant } from "./darkVariant.js";
+import { claimLight, createSensorProxy, hasAmbientLight, releaseLight } from "./ambientLight.js";
+import {
+  clearChangeHistory,
+  getStateBefore,
+  loadChangeHistory,
+  restoreValue,
+} from "./changeHistory.js";
+import { isFlatpakInstalled } from "./flatpakOverrides.js";
+import {
+  ENVIRONMENT,
+  NO_STATUS,
+  STAGES,
+  getHookEnvironment,
+  loadHookResults,
+  loadHooks,
+  recordHookResult,
+  runHook,
+  saveHooks,
+} from "./hooks.js";
+import {
+  METHODS,
+  PLACEHOLDERS,
+  getPlaceholderValues,
+  loadManagedFiles,
+  previewManagedFile,
+  saveManagedFiles,
+  validateManagedFile,
+} from "./managedFiles.js";
+import { COLOR_KEYS, COLOR_SCHEMA, createColorProxy, readNightLightConfig } from "./nightLight.js";
+import {
+  MODES,
+  WALLPAPER_KEYS,
+  activateProfile,
+  createProfile,
+  deleteProfile,
+  duplicateProfile,
+  getActiveProfileName,
+  getProfileNames,
+  loadProfiles,
+  migrateProfiles,
+  renameProfile,
+  setProfileMode,
+} from "./profiles.js";
+import {
+  getInstalledQtTools,
+  hasKvantum,
+  listColorSchemes,
+  listKvantumThemes,
+  listQtStyles,
+} from "./qtThemes.js";
+import { getTransitions, readScheduleConfig } from "./schedule.js";
+import { listSlideshowImages } from "./slideshow.js";
+import {
+  exportSetup,
+  importSetup,
+  readSetupFile,
+  validateSetup,
+  writeSetupFile,
+} from "./setupFile.js";
+import { getInstalledEditors, listStyleSchemes } from "./styleSchemes.js";
+import { getInstalledTerminals, listTerminalProfiles } from "./terminals.js";
+import { getDirs, getModeThemeDirs, isPathExist } from "./themes.js";
+import { forgetWallpaper, getWallpaperHistory } from "./wallpaperHistory.js";
+import {
+  buildBackgroundXml,
+  getCycleDuration,
+  getImageAt,
+  isBackgroundXml,
+  loadBackgroundXml,
+  saveBackgroundXml,
+} from "./xmlWallpaper.js";
+
 Gio._promisify(Gio.File.prototype, "enumerate_children_async");
 Gio._promisify(Gio.FileEnumerator.prototype, "next_files_async");
 
 export default class AppearanceKeeperPrefs extends ExtensionPreferences {
   fillPreferencesWindow(window) {
+    this._window = window;
     this._settings = this.getSettings();
+    this._handlers = [];
     this._desktopSettings = new Gio.Settings({
       schema: "org.gnome.desktop.background",
     });
 
-    const generalPage = new Adw.PreferencesPage();
+    migrateProfiles(this._settings, this._desktopSettings);
+
+    const generalPage = new Adw.PreferencesPage({
+      title: _("General"),
+      icon_name: "preferences-system-symbolic",
+    });
     window.add(generalPage);
 
+    const profilesPage = new Adw.PreferencesPage({
+      title: _("Profiles"),
+      icon_name: "view-list-bullet-symbolic",
+    });
+    profilesPage.add(this._profilesGroup());
+    profilesPage.add(this._setupFileGroup());
+    window.add(profilesPage);
+
+    const filesPage = new Adw.PreferencesPage({
+      title: _("Files"),
+      icon_name: "text-x-generic-symbolic",
+    });
+    filesPage.add(this._managedFilesGroup());
+    window.add(filesPage);
+
+    const hooksPage = new Adw.PreferencesPage({
+      title: _("Hooks"),
+      icon_name: "utilities-terminal-symbolic",
+    });
+    hooksPage.add(this._hooksGroup());
+    window.add(hooksPage);
+
+    const historyPage = new Adw.PreferencesPage({
+      title: _("History"),
+      icon_name: "document-open-recent-symbolic",
+    });
+    historyPage.add(this._historyGroup());
+    window.add(historyPage);
+
     collectAllThemes().then((themes) => {
       this._themes = themes;
       this._sortThemesAlphabetically();
 
       generalPage.add(this._keybindingGroup());
+      generalPage.add(this._quickSettingsGroup());
+      generalPage.add(this._scheduleGroup());
+      generalPage.add(this._powerGroup());
+      generalPage.add(this._inhibitionGroup());
       generalPage.add(this._lightModeGroup());
       generalPage.add(this._darkModeGroup());
+      generalPage.add(this._gtk4Group());
+      generalPage.add(this._terminalsGroup());
+      generalPage.add(this._styleSchemesGroup());
+      generalPage.add(this._qtGroup());
+      generalPage.add(this._flatpakGroup());
       generalPage.add(this._backgroundGroup());
+      generalPage.add(this._wallpaperHistoryGroup());
+      generalPage.add(this._slideshowGroup());
+      generalPage.add(this._twilightGroup());
     });
 
     window.connect("close-request", () => {
+      this._handlers.forEach(([object, id]) => object.disconnect(id));
+      this._handlers = [];
+      if (this._nextSwitchTimerId) GLib.source_remove(this._nextSwitchTimerId);
+      this._nextSwitchTimerId = 0;
+      this._colorSettings = null;
+      this._colorProxy = null;
+      releaseLight(this._sensorProxy);
+      this._sensorProxy = null;
       this._settings = null;
+      this._window = null;
       this._themes = null;
       this._desktopSettings = null;
     });
@@ -65,28 +198,299 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
     return group;
   }
 
+  _quickSettingsGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Quick Settings"),
+    });
+
+    group.add(buildSwitchRow({
+      title: _("Show Appearance Toggle"),
+      subtitle: _("Switch modes, re-apply or save the current set from Quick Settings"),
+      settings: this._settings,
+      key: "show-quick-settings",
+    }));
+
+    return group;
+  }
+
+  _scheduleGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Schedule"),
+      description: _("A manual switch takes precedence until the next scheduled transition"),
+    });
+
+    group.add(buildDropDown({
+      title: _("Switch Automatically"),
+      items: [
+        { name: _("Manually"), value: "manual" },
+        { name: _("At Sunrise and Sunset"), value: "sunrise-sunset" },
+        { name: _("Weekly Schedule"), value: "weekly" },
+        { name: _("Follow Night Light"), value: "night-light" },
+        { name: _("With Ambient Light"), value: "ambient-light" },
+      ],
+      selected: this._settings.get_string("schedule-mode"),
+      bind: [this._settings, "schedule-mode"],
+    }));
+
+    const solarRows = [
+      buildSpinRow({
+        title: _("Latitude"),
+        subtitle: _("Degrees, north is positive"),
+        settings: this._settings,
+        key: "latitude",
+        lower: -90,
+        upper: 90,
+        step: 0.01,
+        digits: 4,
+      }),
+      buildSpinRow({
+        title: _("Longitude"),
+        subtitle: _("Degrees, east is positive"),
+        settings: this._settings,
+        key: "longitude",
+        lower: -180,
+        upper: 180,
+        step: 0.01,
+        digits: 4,
+      }),
+      buildSpinRow({
+        title: _("Sunrise Offset"),
+        subtitle: _("Minutes after sunrise to switch to light mode"),
+        settings: this._settings,
+        key: "sunrise-offset",
+        lower: -240,
+        upper: 240,
+        step: 5,
+      }),
+      buildSpinRow({
+        title: _("Sunset Offset"),
+        subtitle: _("Minutes after sunset to switch to dark mode"),
+        settings: this._settings,
+        key: "sunset-offset",
+        lower: -240,
+        upper: 240,
+        step: 5,
+      }),
+    ];
+    solarRows.forEach((row) => group.add(row));
+
+    const rulesRow = buildWeeklyRulesRow({
+      settings: this._settings,
+      key: "weekly-rules",
+      handlers: this._handlers,
+    });
+    group.add(rulesRow);
+
+    const ambientRows = [
+      buildSpinRow({
+        title: _("Dark Below"),
+        subtitle: _("Switch to dark mode when the light level drops below this value"),
+        settings: this._settings,
+        key: "ambient-dark-threshold",
+        lower: 0,
+        upper: 100000,
+        step: 5,
+      }),
+      buildSpinRow({
+        title: _("Light Above"),
+        subtitle: _("Switch to light mode when the light level rises above this value"),
+        settings: this._settings,
+        key: "ambient-light-threshold",
+        lower: 0,
+        upper: 100000,
+        step: 5,
+      }),
+      buildSpinRow({
+        title: _("Hold Time"),
+        subtitle: _("Seconds the level must stay past a threshold before switching"),
+        settings: this._settings,
+        key: "ambient-hold-time",
+        lower: 0,
+        upper: 3600,
+        step: 5,
+      }),
+      this._lightLevelRow(),
+    ];
+    ambientRows.forEach((row) => group.add(row));
+
+    // The dark threshold stays below the light one, or the band that keeps
+    // the mode from flipping back and forth would be gone.
+    const [darkBelowRow, lightAboveRow] = ambientRows;
+    const limitThresholds = () => {
+      darkBelowRow.adjustment.upper = Math.max(0, lightAboveRow.value - 1);
+      lightAboveRow.adjustment.lower = darkBelowRow.value + 1;
+    };
+    [darkBelowRow, lightAboveRow].forEach((row) => {
+      this._handlers.push([row, row.connect("notify::value", limitThresholds)]);
+    });
+    limitThresholds();
+
+    const nextLightRow = new Adw.ActionRow({ title: _("Next Switch to Light") });
+    const nextDarkRow = new Adw.ActionRow({ title: _("Next Switch to Dark") });
+    group.add(nextLightRow);
+    group.add(nextDarkRow);
+
+    this._colorSettings = new Gio.Settings({ schema_id: COLOR_SCHEMA });
+
+    const update = () => {
+      const nightLight = readNightLightConfig(this._colorSettings, this._colorProxy);
+      const config = readScheduleConfig(this._settings, nightLight);
+      solarRows.forEach((row) => {
+        row.sensitive = config.mode === "sunrise-sunset";
+      });
+      rulesRow.sensitive = config.mode === "weekly";
+      ambientRows.forEach((row) => {
+        row.sensitive = config.mode === "ambient-light";
+      });
+
+      const now = new Date();
+      const until = new Date(now.getTime() + 8 * 86400000);
+      const transitions = config.mode === "manual" ? [] : getTransitions(config, now, until);
+      nextLightRow.subtitle = formatTransition(transitions.find((t) => !t.isDark));
+      nextDarkRow.subtitle = formatTransition(transitions.find((t) => t.isDark));
+
+      // Refresh once the next switch has passed, and at least hourly so a
+      // suspend or a clock change does not leave stale times behind.
+      if (this._nextSwitchTimerId) GLib.source_remove(this._nextSwitchTimerId);
+      const delay = transitions.length ? Math.ceil((transitions[0].time - now) / 1000) + 1 : 3600;
+      this._nextSwitchTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+        Math.min(Math.max(delay, 1), 3600), () => {
+          this._nextSwitchTimerId = 0;
+          update();
+          return GLib.SOURCE_REMOVE;
+        });
+    };
+
+    [
+      "schedule-mode", "latitude", "longitude", "sunrise-offset", "sunset-offset", "weekly-rules",
+    ].forEach((key) => {
+      this._handlers.push([this._settings, this._settings.connect(`changed::${key}`, update)]);
+    });
+    COLOR_KEYS.forEach((key) => {
+      this._handlers.push([this._colorSettings, this._colorSettings.connect(`changed::${key}`, update)]);
+    });
+
+    // Sunrise and sunset of the automatic Night Light schedule are only
+    // known to the daemon.
+    this._colorProxy = createColorProxy((proxy, error) => {
+      if (!error && this._settings) update();
+    });
+    this._handlers.push([this._colorProxy, this._colorProxy.connect("g-properties-changed", update)]);
+    update();
+
+    return group;
+  }
+
+  _powerGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Power"),
+      description: _("The previous mode comes back once the condition clears"),
+    });
+
+    const modes = [
+      { name: _("Do Nothing"), value: "none" },
+      { name: _("Light Mode"), value: "light" },
+      { name: _("Dark Mode"), value: "dark" },
+    ];
+
+    group.add(buildDropDown({
+      title: _("Power Saver"),
+      items: modes,
+      selected: this._settings.get_string("power-saver-mode"),
+      bind: [this._settings, "power-saver-mode"],
+    }));
+
+    group.add(buildDropDown({
+      title: _("Low Battery"),
+      items: modes,
+      selected: this._settings.get_string("low-battery-mode"),
+      bind: [this._settings, "low-battery-mode"],
+    }));
+
+    group.add(buildSpinRow({
+      title: _("Low Battery Level"),
+      subtitle: _("Percentage at or below which the battery counts as low"),
+      settings: this._settings,
+      key: "low-battery-threshold",
+      lower: 1,
+      upper: 100,
+      step: 5,
+    }));
+
+    return group;
+  }
+
+  _inhibitionGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Hold Off Automatic Switches"),
+      description: _("Deferred switches apply once the condition ends. Manual switches always apply immediately"),
+    });
+
+    group.add(buildSwitchRow({
+      title: _("While Fullscreen"),
+      subtitle: _("A window is fullscreen on any monitor, such as a game or a presentation"),
+      settings: this._settings,
+      key: "inhibit-when-fullscreen",
+    }));
+
+    group.add(buildSwitchRow({
+      title: _("While Sharing the Screen"),
+      subtitle: _("A screencast, screen sharing or remote desktop session is active"),
+      settings: this._settings,
+      key: "inhibit-when-sharing",
+    }));
+
+    return group;
+  }
+
+  _lightLevelRow() {
+    const row = new Adw.ActionRow({
+      title: _("Current Light Level"),
+      subtitle: _("No light sensor"),
+    });
+
+    const update = () => {
+      if (!hasAmbientLight(this._sensorProxy)) {
+        row.subtitle = _("No light sensor");
+        return;
+      }
+
+      // Sensors that report "vendor" units have no fixed scale, so the
+      // thresholds have to be chosen from what this one reads.
+      const level = this._sensorProxy.LightLevel.toFixed(0);
+      row.subtitle = this._sensorProxy.LightLevelUnit === "lux"
+        ? `${level} lux`
+        : `${level} · ${_("Sensor units, not lux: set the thresholds from these readings")}`;
+    };
+
+    this._sensorProxy = createSensorProxy((proxy, error) => {
+      if (error || !this._settings) return;
+      if (hasAmbientLight(proxy)) claimLight(proxy);
+      update();
+    });
+    this._handlers.push([this._sensorProxy, this._sensorProxy.connect("g-properties-changed", update)]);
+
+    return row;
+  }
+
   _lightModeGroup() {
     const group = new Adw.PreferencesGroup({
       title: _("Light Mode"),
     });
 
-    const accentColors = [
-      { name: _("Blue"), value: "blue", color: "#1c71d8" },
-      { name: _("Teal"), value: "teal", color: "#26a269" },
-      { name: _("Green"), value: "green", color: "#2ec27e" },
-      { name: _("Yellow"), value: "yellow", color: "#e5a50a" },
-      { name: _("Orange"), value: "orange", color: "#ff7800" },
-      { name: _("Red"), value: "red", color: "#e01b24" },
-      { name: _("Pink"), value: "pink", color: "#e4679d" },
-      { name: _("Purple"), value: "purple", color: "#9141ac" },
-      { name: _("Slate"), value: "slate", color: "#667885" },
-    ];
+    group.add(buildProfileDropDown({
+      title: _("Profile"),
+      settings: this._settings,
+      desktopSettings: this._desktopSettings,
+      mode: "light",
+      handlers: this._handlers,
+    }));
 
     group.add(buildAccentDropDown({
       title: _("Accent Color"),
-      items: accentColors,
-      selected: this._settings.get_string("light-accent-color"),
-      bind: [this._settings, "light-accent-color"],
+      settings: this._settings,
+      mode: "light",
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -94,6 +498,7 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.cursor,
       selected: this._settings.get_string("light-cursor-theme"),
       bind: [this._settings, "light-cursor-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -101,6 +506,7 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.icons,
       selected: this._settings.get_string("light-icon-theme"),
       bind: [this._settings, "light-icon-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -108,6 +514,15 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.gtk3,
       selected: this._settings.get_string("light-gtk-theme"),
       bind: [this._settings, "light-gtk-theme"],
+      handlers: this._handlers,
+    }));
+
+    group.add(buildDropDown({
+      title: _("Libadwaita Applications"),
+      items: this._themes.gtk4,
+      selected: this._settings.get_string("light-gtk4-theme"),
+      bind: [this._settings, "light-gtk4-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -115,6 +530,7 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.shell,
       selected: this._settings.get_string("light-shell-theme"),
       bind: [this._settings, "light-shell-theme"],
+      handlers: this._handlers,
     }));
 
     return group;
@@ -125,23 +541,19 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       title: _("Dark Mode"),
     });
 
-    const accentColors = [
-      { name: _("Blue"), value: "blue", color: "#1c71d8" },
-      { name: _("Teal"), value: "teal", color: "#26a269" },
-      { name: _("Green"), value: "green", color: "#2ec27e" },
-      { name: _("Yellow"), value: "yellow", color: "#e5a50a" },
-      { name: _("Orange"), value: "orange", color: "#ff7800" },
-      { name: _("Red"), value: "red", color: "#e01b24" },
-      { name: _("Pink"), value: "pink", color: "#e4679d" },
-      { name: _("Purple"), value: "purple", color: "#9141ac" },
-      { name: _("Slate"), value: "slate", color: "#667885" },
-    ];
+    group.add(buildProfileDropDown({
+      title: _("Profile"),
+      settings: this._settings,
+      desktopSettings: this._desktopSettings,
+      mode: "dark",
+      handlers: this._handlers,
+    }));
 
     group.add(buildAccentDropDown({
       title: _("Accent Color"),
-      items: accentColors,
-      selected: this._settings.get_string("dark-accent-color"),
-      bind: [this._settings, "dark-accent-color"],
+      settings: this._settings,
+      mode: "dark",
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -149,6 +561,7 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.cursor,
       selected: this._settings.get_string("dark-cursor-theme"),
       bind: [this._settings, "dark-cursor-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -156,6 +569,7 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.icons,
       selected: this._settings.get_string("dark-icon-theme"),
       bind: [this._settings, "dark-icon-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -163,6 +577,15 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.gtk3,
       selected: this._settings.get_string("dark-gtk-theme"),
       bind: [this._settings, "dark-gtk-theme"],
+      handlers: this._handlers,
+    }));
+
+    group.add(buildDropDown({
+      title: _("Libadwaita Applications"),
+      items: this._themes.gtk4,
+      selected: this._settings.get_string("dark-gtk4-theme"),
+      bind: [this._settings, "dark-gtk4-theme"],
+      handlers: this._handlers,
     }));
 
     group.add(buildDropDown({
@@ -170,132 +593,1625 @@ export default class AppearanceKeeperPrefs extends ExtensionPreferences {
       items: this._themes.shell,
       selected: this._settings.get_string("dark-shell-theme"),
       bind: [this._settings, "dark-shell-theme"],
+      handlers: this._handlers,
     }));
 
     return group;
   }
 
-  _backgroundGroup() {
+  _gtk4Group() {
     const group = new Adw.PreferencesGroup({
-      title: _("Wallpapers"),
+      title: _("Libadwaita Applications"),
+      description: _("GTK 4 ignores the theme setting and only loads ~/.config/gtk-4.0. The files of the chosen theme are put there, your own ones are set aside and come back when no theme is chosen or the extension is disabled"),
     });
 
-    group.add(buildBackgroundPreviewRow({
-      desktopSettings: this._desktopSettings,
+    group.add(buildDropDown({
+      title: _("Install By"),
+      items: getGtk4Methods(),
+      selected: this._settings.get_string("gtk4-theme-method"),
+      bind: [this._settings, "gtk4-theme-method"],
+      handlers: this._handlers,
     }));
 
     return group;
   }
-}
 
-const DropdownItems = GObject.registerClass({
-  Properties: {
-    name: GObject.ParamSpec.string("name", "name", "name", GObject.ParamFlags.READWRITE, null),
-    value: GObject.ParamSpec.string("value", "value", "value", GObject.ParamFlags.READWRITE, null),
-  },
-}, class DropdownItems extends GObject.Object {
-  _init(name, value) {
-    super._init({ name, value });
-  }
-});
+  _terminalsGroup() {
+    const terminals = getInstalledTerminals();
 
-const AccentItems = GObject.registerClass({
-  Properties: {
-    name: GObject.ParamSpec.string("name", "name", "name", GObject.ParamFlags.READWRITE, null),
-    value: GObject.ParamSpec.string("value", "value", "value", GObject.ParamFlags.READWRITE, null),
-    color: GObject.ParamSpec.string("color", "color", "color", GObject.ParamFlags.READWRITE, null),
-  },
-}, class AccentItems extends GObject.Object {
-  _init(name, value, color) {
-    super._init({ name, value, color });
+    const group = new Adw.PreferencesGroup({
+      title: _("Terminals"),
+      description: terminals.length
+        ? _("Default terminal profile of each mode, used by new windows and tabs")
+        : _("Neither GNOME Terminal nor Ptyxis is installed"),
+    });
+
+    terminals.forEach((terminal) => {
+      MODES.forEach((mode) => {
+        group.add(buildMapComboRow({
+          title: `${terminal.name} · ${mode === "dark" ? _("Dark Mode") : _("Light Mode")}`,
+          items: listTerminalProfiles(terminal).map((p) => ({ name: p.name, value: p.uuid })),
+          settings: this._settings,
+          key: `${mode}-terminal-profiles`,
+          entry: terminal.id,
+          handlers: this._handlers,
+        }));
+      });
+    });
+
+    return group;
   }
-});
 
-function buildDropDown(opts) {
-  const liststore = new Gio.ListStore({ item_type: DropdownItems });
-  
-  for (const item of opts.items) {
-    liststore.append(new DropdownItems(item.name, item.value));
+  _styleSchemesGroup() {
+    const editors = getInstalledEditors();
+
+    const group = new Adw.PreferencesGroup({
+      title: _("Editor Style Schemes"),
+      description: editors.length
+        ? _("GtkSourceView style scheme of each editor in each mode")
+        : _("No supported editor is installed"),
+    });
+
+    editors.forEach(async (editor) => {
+      let schemes;
+      try {
+        schemes = await listStyleSchemes(editor);
+      } catch (e) {
+        if (!this._settings) return;
+        group.add(new Adw.ActionRow({
+          title: editor.name,
+          subtitle: GLib.markup_escape_text(`${_("Cannot list the style schemes")}: ${e.message}`, -1),
+        }));
+        return;
+      }
+      if (!this._settings) return;
+
+      const items = schemes.map((scheme) => ({ name: scheme.name, value: scheme.id }));
+
+      MODES.forEach((mode) => {
+        group.add(buildMapComboRow({
+          title: `${editor.name} · ${mode === "dark" ? _("Dark Mode") : _("Light Mode")}`,
+          items,
+          settings: this._settings,
+          key: `${mode}-style-schemes`,
+          entry: editor.id,
+          handlers: this._handlers,
+        }));
+      });
+    });
+
+    return group;
   }
 
-  let selected = -1;
-  for (let i = 0; i < liststore.get_n_items(); i++) {
-    if (liststore.get_item(i).value === opts.selected) {
-      selected = i;
-      break;
+  _qtGroup() {
+    const tools = getInstalledQtTools();
+    const kvantum = hasKvantum();
+
+    const group = new Adw.PreferencesGroup({
+      title: _("Qt Applications"),
+      description: tools.length || kvantum
+        ? _("Colors, style and Kvantum theme of Qt applications in each mode. Running applications change on their next start")
+        : _("Neither qt5ct, qt6ct nor Kvantum is installed"),
+    });
+
+    const addRow = (title, mode, entry, items) => {
+      group.add(buildMapComboRow({
+        title: `${title} · ${mode === "dark" ? _("Dark Mode") : _("Light Mode")}`,
+        items,
+        settings: this._settings,
+        key: `${mode}-qt-settings`,
+        entry,
+        handlers: this._handlers,
+      }));
+    };
+
+    const styles = listQtStyles().map((style) => ({ name: style, value: style }));
+    tools.forEach((tool) => {
+      const schemes = listColorSchemes(tool).map((scheme) => ({ name: scheme.name, value: scheme.path }));
+      MODES.forEach((mode) => {
+        addRow(`${tool.name} ${_("Colors")}`, mode, `${tool.id}-color-scheme`, schemes);
+        addRow(`${tool.name} ${_("Style")}`, mode, `${tool.id}-style`, styles);
+      });
+    });
+
+    if (kvantum) {
+      const themes = listKvantumThemes().map((theme) => ({ name: theme, value: theme }));
+      MODES.forEach((mode) => addRow(_("Kvantum"), mode, "kvantum-theme", themes));
     }
+
+    return group;
   }
 
-  const comboRow = new Adw.ComboRow({
-    title: opts.title,
-    model: liststore,
-    expression: new Gtk.PropertyExpression(DropdownItems, null, "name"),
-    selected: selected,
-  });
+  _flatpakGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Flatpak Applications"),
+      description: isFlatpakInstalled()
+        ? _("Sandboxed applications only see themes installed in your home folder. Themes installed system-wide need their Flatpak extension")
+        : _("Flatpak is not installed"),
+    });
 
-  if (opts.bind) {
-    comboRow.connect("notify::selected", () => {
-      if (comboRow.selectedItem) {
-        opts.bind[0].set_string(opts.bind[1], comboRow.selectedItem.value);
-      }
+    group.add(buildSwitchRow({
+      title: _("Share Themes With Flatpak"),
+      subtitle: _("Expose the GTK and icon themes of the current mode and set GTK_THEME and ICON_THEME in the global Flatpak override. Entries you wrote yourself are left alone"),
+      settings: this._settings,
+      key: "flatpak-overrides",
+    }));
+
+    return group;
+  }
+
+  _profilesGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Profiles"),
+      description: _("Each profile holds its own themes, accent color, wallpaper and wallpaper placement and belongs to light or dark mode. Changes made while a profile is active are saved to it"),
+    });
+
+    let rows = [];
+
+    const rebuild = () => {
+      rows.forEach((row) => group.remove(row));
+      rows = [];
+
+      const profiles = loadProfiles(this._settings);
+      MODES.forEach((mode) => {
+        getProfileNames(this._settings, mode).forEach((name) => {
+          const row = buildProfileRow({
+            name,
+            profile: profiles[name],
+            active: getActiveProfileName(this._settings, mode) === name,
+            settings: this._settings,
+            desktopSettings: this._desktopSettings,
+          });
+          group.add(row);
+          rows.push(row);
+        });
+      });
+
+      const addRow = new Adw.ButtonRow({
+        title: _("New Profile"),
+        start_icon_name: "list-add-symbolic",
+      });
+      addRow.connect("activated", () => {
+        showProfileDialog(addRow.get_root(), {
+          heading: _("New Profile"),
+          body: _("The profile starts from the current settings of its mode"),
+          name: "",
+          mode: "light",
+          modeEditable: true,
+        }, (name, mode) => createProfile(this._settings, this._desktopSettings, name, mode));
+      });
+      group.add(addRow);
+      rows.push(addRow);
+    };
+
+    ["profiles", "light-profile", "dark-profile"].forEach((key) => {
+      this._handlers.push([this._settings, this._settings.connect(`changed::${key}`, rebuild)]);
     });
+    rebuild();
+
+    return group;
   }
 
-  return comboRow;
-}
+  _slideshowGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Slideshows"),
+      description: _("Rotate through the images of a folder. Only the folder of the active mode rotates"),
+    });
 
-function buildAccentDropDown(opts) {
-  const liststore = new Gio.ListStore({ item_type: AccentItems });
-  
-  for (const item of opts.items) {
-    liststore.append(new AccentItems(item.name, item.value, item.color));
+    group.add(buildSpinRow({
+      title: _("Interval"),
+      subtitle: _("Minutes between two images"),
+      settings: this._settings,
+      key: "slideshow-interval",
+      lower: 1,
+      upper: 1440,
+      step: 5,
+    }));
+
+    group.add(buildSwitchRow({
+      title: _("Shuffle"),
+      subtitle: _("Show images in a random order instead of by name"),
+      settings: this._settings,
+      key: "slideshow-shuffle",
+    }));
+
+    group.add(buildSlideshowFolderRow({
+      title: _("Light Mode Folder"),
+      settings: this._settings,
+      mode: "light",
+      handlers: this._handlers,
+    }));
+
+    group.add(buildSlideshowFolderRow({
+      title: _("Dark Mode Folder"),
+      settings: this._settings,
+      mode: "dark",
+      handlers: this._handlers,
+    }));
+
+    return group;
   }
 
-  let selected = -1;
-  for (let i = 0; i < liststore.get_n_items(); i++) {
-    if (liststore.get_item(i).value === opts.selected) {
-      selected = i;
-      break;
-    }
+  _wallpaperHistoryGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Recent Wallpapers"),
+      description: _("Wallpapers used lately in each mode. Files that no longer exist are greyed out"),
+    });
+
+    MODES.forEach((mode) => {
+      group.add(buildWallpaperHistoryRow({
+        title: mode === "dark" ? _("Dark Mode") : _("Light Mode"),
+        settings: this._settings,
+        desktopSettings: this._desktopSettings,
+        mode,
+        handlers: this._handlers,
+      }));
+    });
+
+    return group;
   }
 
-  const factory = new Gtk.SignalListItemFactory();
-  
-  factory.connect("setup", (factory, list_item) => {
-    const label = new Gtk.Label({
-      xalign: 0,
-      hexpand: true,
-      use_markup: true,
+  _twilightGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Twilight"),
+      description: _("Blend the light and dark wallpapers around each scheduled switch. Needs a schedule and two single images"),
     });
-    list_item.set_child(label);
-  });
-  
-  factory.connect("bind", (factory, list_item) => {
-    const item = list_item.get_item();
-    const label = list_item.get_child();
-    const coloredText = `<span foreground="${item.color}">${item.name}</span>`;
-    label.set_markup(coloredText);
-  });
 
-  const comboRow = new Adw.ComboRow({
-    title: opts.title,
-    model: liststore,
-    selected: selected,
-    factory: factory,
-    expression: new Gtk.PropertyExpression(AccentItems, null, "name"),
-  });
+    group.add(buildSwitchRow({
+      title: _("Blend Wallpapers"),
+      settings: this._settings,
+      key: "twilight-enabled",
+    }));
 
-  if (opts.bind) {
-    comboRow.connect("notify::selected", () => {
-      if (comboRow.selectedItem) {
-        opts.bind[0].set_string(opts.bind[1], comboRow.selectedItem.value);
-      }
+    const durationRow = buildSpinRow({
+      title: _("Duration"),
+      subtitle: _("Minutes of blending, centred on the switch"),
+      settings: this._settings,
+      key: "twilight-duration",
+      lower: 4,
+      upper: 240,
+      step: 5,
+    });
+    group.add(durationRow);
+
+    const stepsRow = buildSpinRow({
+      title: _("Frames"),
+      subtitle: _("Blended images shown between the two wallpapers"),
+      settings: this._settings,
+      key: "twilight-steps",
+      lower: 2,
+      upper: 30,
+      step: 1,
     });
+    group.add(stepsRow);
+
+    this._settings.bind("twilight-enabled", durationRow, "sensitive", Gio.SettingsBindFlags.GET);
+    this._settings.bind("twilight-enabled", stepsRow, "sensitive", Gio.SettingsBindFlags.GET);
+
+    return group;
   }
 
+  _setupFileGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Share Setup"),
+      description: _("Save the light and dark setup, profiles and shortcut to a file, or load one made on another machine"),
+    });
+
+    const bundleRow = new Adw.SwitchRow({
+      title: _("Include Wallpaper Images"),
+      subtitle: _("Embed the wallpaper files so the setup works where they are missing"),
+    });
+    group.add(bundleRow);
+
+    const exportRow = new Adw.ButtonRow({
+      title: _("Export Setup…"),
+      start_icon_name: "document-save-symbolic",
+    });
+    exportRow.connect("activated", () => {
+      const dialog = Gtk.FileChooserNative.new(
+        _("Export Setup"),
+        this._window,
+        Gtk.FileChooserAction.SAVE,
+        _("Save"),
+        _("Cancel")
+      );
+      dialog.set_current_name("appearance-keeper.json");
+
+      dialog.connect("response", (dlg, response) => {
+        const file = response === Gtk.ResponseType.ACCEPT ? dlg.get_file() : null;
+        dlg.destroy();
+        if (!file) return;
+
+        try {
+          const setup = exportSetup(this._settings, this._desktopSettings, {
+            bundleWallpapers: bundleRow.active,
+          });
+          writeSetupFile(file, setup);
+          this._window.add_toast(new Adw.Toast({ title: _("Setup exported") }));
+        } catch (e) {
+          this._window.add_toast(new Adw.Toast({ title: `${_("Export failed")}: ${e.message}` }));
+        }
+      });
+
+      dialog.set_modal(true);
+      dialog.show();
+    });
+    group.add(exportRow);
+
+    const importRow = new Adw.ButtonRow({
+      title: _("Import Setup…"),
+      start_icon_name: "document-open-symbolic",
+    });
+    importRow.connect("activated", () => {
+      const dialog = Gtk.FileChooserNative.new(
+        _("Import Setup"),
+        this._window,
+        Gtk.FileChooserAction.OPEN,
+        _("Open"),
+        _("Cancel")
+      );
+
+      const filter = new Gtk.FileFilter();
+      filter.set_name(_("Setup Files"));
+      filter.add_mime_type("application/json");
+      dialog.add_filter(filter);
+
+      dialog.connect("response", (dlg, response) => {
+        const file = response === Gtk.ResponseType.ACCEPT ? dlg.get_file() : null;
+        dlg.destroy();
+        if (file) this._confirmImport(file);
+      });
+
+      dialog.set_modal(true);
+      dialog.show();
+    });
+    group.add(importRow);
+
+    return group;
+  }
+
+  _confirmImport(file) {
+    let setup;
+    let report;
+    try {
+      setup = readSetupFile(file);
+      report = validateSetup(this._settings, setup);
+    } catch (e) {
+      report = { errors: [e.message], warnings: [], missingThemes: [] };
+    }
+
+    const lines = [
+      ...report.errors,
+      ...report.missingThemes.map(({ mode, kind, name }) =>
+        `${_("Not installed")}: ${name} (${mode} ${kind})`),
+      ...report.warnings,
+    ];
+
+    const dialog = new Adw.AlertDialog({
+      heading: report.errors.length ? _("Cannot Import Setup") : _("Import Setup?"),
+      body: lines.length
+        ? lines.join("\n")
+        : _("All themes are installed. The current setup will be replaced"),
+    });
+    dialog.add_response("cancel", _("Cancel"));
+
+    if (!report.errors.length) {
+      dialog.add_response("import", _("Import"));
+      dialog.set_response_appearance("import", Adw.ResponseAppearance.SUGGESTED);
+    }
+
+    dialog.connect("response", (dlg, response) => {
+      if (response !== "import") return;
+
+      try {
+        importSetup(this._settings, this._desktopSettings, setup, report);
+        this._window.add_toast(new Adw.Toast({ title: _("Setup imported") }));
+      } catch (e) {
+        this._window.add_toast(new Adw.Toast({ title: `${_("Import failed")}: ${e.message}` }));
+      }
+    });
+
+    dialog.present(this._window);
+  }
+
+  _hooksGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Hooks"),
+      description: _("Commands run before or after the themes of a mode are applied, for what the extension does not switch itself"),
+    });
+
+    group.add(buildSpinRow({
+      title: _("Timeout"),
+      subtitle: _("Seconds after which a hook still running is killed"),
+      settings: this._settings,
+      key: "hook-timeout",
+      lower: 1,
+      upper: 600,
+      step: 1,
+    }));
+
+    let rows = [];
+
+    const rebuild = () => {
+      rows.forEach((row) => group.remove(row));
+      rows = [];
+
+      const hooks = loadHooks(this._settings);
+      const results = loadHookResults(this._settings);
+      const save = (edited, index) => saveHooks(this._settings, hooks.map((h, i) => (i === index ? edited : h)));
+
+      hooks.forEach((hook, index) => {
+        const row = buildHookRow({
+          hook,
+          result: results[hook.id] ?? null,
+          settings: this._settings,
+          onEdit: (edited) => save(edited, index),
+          onDelete: () => saveHooks(this._settings, hooks.filter((h, i) => i !== index)),
+          onTested: (result, parent) => {
+            if (!this._settings) return;
+            recordHookResult(this._settings, hook.id, result);
+            showHookOutputDialog(parent, hook, [result.time, result.status, result.output]);
+          },
+        });
+        group.add(row);
+        rows.push(row);
+      });
+
+      const addRow = new Adw.ButtonRow({
+        title: _("Add Hook"),
+        start_icon_name: "list-add-symbolic",
+      });
+      addRow.connect("activated", () => {
+        showHookDialog(addRow.get_root(), {
+          id: GLib.uuid_string_random(),
+          name: "",
+          command: "",
+          mode: "dark",
+          stage: "after",
+          enabled: "true",
+        }, (hook) => saveHooks(this._settings, [...loadHooks(this._settings), hook]));
+      });
+      group.add(addRow);
+      rows.push(addRow);
+    };
+
+    ["hooks", "hook-results"].forEach((key) => {
+      this._handlers.push([this._settings, this._settings.connect(`changed::${key}`, rebuild)]);
+    });
+    rebuild();
+
+    return group;
+  }
+
+  _historyGroup() {
+    const clearButton = new Gtk.Button({
+      label: _("Clear"),
+      valign: Gtk.Align.CENTER,
+      css_classes: ["flat"],
+    });
+    clearButton.connect("clicked", () => clearChangeHistory(this._settings));
+
+    const group = new Adw.PreferencesGroup({
+      title: _("Changes"),
+      description: _("Changes to the saved values of each mode, newest first. A change can be reverted alone, or its mode rolled back to how it was before it"),
+      header_suffix: clearButton,
+    });
+
+    let rows = [];
+
+    const rebuild = () => {
+      rows.forEach((row) => group.remove(row));
+      rows = [];
+
+      const history = loadChangeHistory(this._settings);
+      clearButton.sensitive = history.length > 0;
+
+      // Newest first; indexes still point into the oldest-first journal.
+      history.map((change, index) => [change, index]).reverse().forEach(([change, index]) => {
+        const row = buildChangeRow({
+          change,
+          onRevert: () => restoreValue(this._settings, this._desktopSettings,
+            change.mode, change.key, change.oldValue),
+          onRollBack: (parent) => showRollBackDialog(parent, change, getStateBefore(history, index), (state) => {
+            Object.entries(state).forEach(([key, value]) => {
+              restoreValue(this._settings, this._desktopSettings, change.mode, key, value);
+            });
+          }),
+        });
+        group.add(row);
+        rows.push(row);
+      });
+
+      if (!history.length) {
+        const emptyRow = new Adw.ActionRow({
+          title: _("No changes yet"),
+          css_classes: ["dim-label"],
+        });
+        group.add(emptyRow);
+        rows.push(emptyRow);
+      }
+    };
+
+    this._handlers.push([this._settings, this._settings.connect("changed::change-history", rebuild)]);
+    rebuild();
+
+    return group;
+  }
+
+  _managedFilesGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Managed Files"),
+      description: _("Config files of other applications, such as terminal or editor themes, rewritten on each mode change. The original of a file is backed up before its first change"),
+    });
+
+    let rows = [];
+
+    const save = (entries) => saveManagedFiles(this._settings, entries);
+
+    const rebuild = () => {
+      rows.forEach((row) => group.remove(row));
+      rows = [];
+
+      const entries = loadManagedFiles(this._settings);
+      entries.forEach((entry, index) => {
+        const row = buildManagedFileRow({
+          entry,
+          settings: this._settings,
+          onEdit: (edited) => save(entries.map((e, i) => (i === index ? edited : e))),
+          onDelete: () => save(entries.filter((e, i) => i !== index)),
+        });
+        group.add(row);
+        rows.push(row);
+      });
+
+      const addRow = new Adw.ButtonRow({
+        title: _("Add File"),
+        start_icon_name: "list-add-symbolic",
+      });
+      addRow.connect("activated", () => {
+        showManagedFileDialog(addRow.get_root(), { path: "", method: "snippets" },
+          (entry) => save([...loadManagedFiles(this._settings), entry]));
+      });
+      group.add(addRow);
+      rows.push(addRow);
+    };
+
+    this._handlers.push([this._settings, this._settings.connect("changed::managed-files", rebuild)]);
+    rebuild();
+
+    return group;
+  }
+
+  _backgroundGroup() {
+    const group = new Adw.PreferencesGroup({
+      title: _("Wallpapers"),
+    });
+
+    group.add(buildBackgroundPreviewRow({
+      desktopSettings: this._desktopSettings,
+      handlers: this._handlers,
+    }));
+
+    group.add(buildDarkVariantRow({
+      settings: this._settings,
+      desktopSettings: this._desktopSettings,
+      handlers: this._handlers,
+    }));
+
+    group.add(buildWallpaperOptionsRow({
+      title: _("Light Mode Placement and Colors"),
+      settings: this._settings,
+      mode: "light",
+      handlers: this._handlers,
+    }));
+
+    group.add(buildWallpaperOptionsRow({
+      title: _("Dark Mode Placement and Colors"),
+      settings: this._settings,
+      mode: "dark",
+      handlers: this._handlers,
+    }));
+
+    return group;
+  }
+}
+
+const DropdownItems = GObject.registerClass({
+  Properties: {
+    name: GObject.ParamSpec.string("name", "name", "name", GObject.ParamFlags.READWRITE, null),
+    value: GObject.ParamSpec.string("value", "value", "value", GObject.ParamFlags.READWRITE, null),
+  },
+}, class DropdownItems extends GObject.Object {
+  _init(name, value) {
+    super._init({ name, value });
+  }
+});
+
+const AccentItems = GObject.registerClass({
+  Properties: {
+    name: GObject.ParamSpec.string("name", "name", "name", GObject.ParamFlags.READWRITE, null),
+    value: GObject.ParamSpec.string("value", "value", "value", GObject.ParamFlags.READWRITE, null),
+    color: GObject.ParamSpec.string("color", "color", "color", GObject.ParamFlags.READWRITE, null),
+  },
+}, class AccentItems extends GObject.Object {
+  _init(name, value, color) {
+    super._init({ name, value, color });
+  }
+});
+
+function buildDropDown(opts) {
+  const liststore = new Gio.ListStore({ item_type: DropdownItems });
+  
+  for (const item of opts.items) {
+    liststore.append(new DropdownItems(item.name, item.value));
+  }
+
+  let selected = -1;
+  for (let i = 0; i < liststore.get_n_items(); i++) {
+    if (liststore.get_item(i).value === opts.selected) {
+      selected = i;
+      break;
+    }
+  }
+
+  const comboRow = new Adw.ComboRow({
+    title: opts.title,
+    model: liststore,
+    expression: new Gtk.PropertyExpression(DropdownItems, null, "name"),
+    selected: selected,
+  });
+
+  bindComboRow(comboRow, opts);
+
+  return comboRow;
+}
+
+function findItemPosition(model, value) {
+  for (let i = 0; i < model.get_n_items(); i++) {
+    if (model.get_item(i).value === value) return i;
+  }
+  return Gtk.INVALID_LIST_POSITION;
+}
+
+function bindComboRow(comboRow, opts) {
+  if (!opts.bind) return;
+
+  const [settings, key] = opts.bind;
+
+  comboRow.connect("notify::selected", () => {
+    const item = comboRow.selectedItem;
+    if (item && settings.get_string(key) !== item.value) {
+      settings.set_string(key, item.value);
+    }
+  });
+
+  // Follow changes made elsewhere, such as a profile being activated.
+  if (opts.handlers) {
+    opts.handlers.push([settings, settings.connect(`changed::${key}`, () => {
+      const position = findItemPosition(comboRow.model, settings.get_string(key));
+      if (comboRow.selected !== position) comboRow.selected = position;
+    })]);
+  }
+}
+
+// Picks the value of one entry of an a{ss} key; "Unchanged" removes the
+// entry.
+function buildMapComboRow(opts) {
+  const key = opts.key;
+
+  const liststore = new Gio.ListStore({ item_type: DropdownItems });
+  liststore.append(new DropdownItems(_("Unchanged"), ""));
+  for (const item of opts.items) {
+    liststore.append(new DropdownItems(item.name, item.value));
+  }
+
+  const comboRow = new Adw.ComboRow({
+    title: opts.title,
+    model: liststore,
+    expression: new Gtk.PropertyExpression(DropdownItems, null, "name"),
+  });
+
+  const getEntries = () => opts.settings.get_value(key).deepUnpack();
+
+  const sync = () => {
+    const position = findItemPosition(liststore, getEntries()[opts.entry] ?? "");
+    if (comboRow.selected !== position) comboRow.selected = position;
+  };
+
+  comboRow.connect("notify::selected", () => {
+    const item = comboRow.selectedItem;
+    const entries = getEntries();
+    if (!item || (entries[opts.entry] ?? "") === item.value) return;
+
+    if (item.value) entries[opts.entry] = item.value;
+    else delete entries[opts.entry];
+    opts.settings.set_value(key, new GLib.Variant("a{ss}", entries));
+  });
+
+  opts.handlers.push([opts.settings, opts.settings.connect(`changed::${key}`, sync)]);
+  sync();
+
+  return comboRow;
+}
+
+function buildProfileDropDown(opts) {
+  const liststore = new Gio.ListStore({ item_type: DropdownItems });
+
+  const comboRow = new Adw.ComboRow({
+    title: opts.title,
+    model: liststore,
+    expression: new Gtk.PropertyExpression(DropdownItems, null, "name"),
+  });
+
+  let refilling = false;
+  const refill = () => {
+    refilling = true;
+    liststore.remove_all();
+    for (const name of getProfileNames(opts.settings, opts.mode)) {
+      liststore.append(new DropdownItems(name, name));
+    }
+    comboRow.selected = findItemPosition(liststore, getActiveProfileName(opts.settings, opts.mode));
+    refilling = false;
+  };
+
+  comboRow.connect("notify::selected", () => {
+    const item = comboRow.selectedItem;
+    if (refilling || !item || item.value === getActiveProfileName(opts.settings, opts.mode)) return;
+    activateProfile(opts.settings, opts.desktopSettings, item.value);
+  });
+
+  ["profiles", `${opts.mode}-profile`].forEach((key) => {
+    opts.handlers.push([opts.settings, opts.settings.connect(`changed::${key}`, refill)]);
+  });
+  refill();
+
+  return comboRow;
+}
+
+function showProfileDialog(parent, opts, onSave) {
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 12,
+  });
+
+  const nameEntry = new Gtk.Entry({
+    text: opts.name,
+    placeholder_text: _("Profile name"),
+    activates_default: true,
+  });
+  content.append(nameEntry);
+
+  const modeDropDown = Gtk.DropDown.new_from_strings([_("Light Mode"), _("Dark Mode")]);
+  modeDropDown.selected = MODES.indexOf(opts.mode);
+  modeDropDown.sensitive = opts.modeEditable;
+  content.append(modeDropDown);
+
+  const dialog = new Adw.AlertDialog({
+    heading: opts.heading,
+    body: opts.body ?? "",
+    extra_child: content,
+    default_response: "save",
+  });
+  dialog.add_response("cancel", _("Cancel"));
+  dialog.add_response("save", _("Save"));
+  dialog.set_response_appearance("save", Adw.ResponseAppearance.SUGGESTED);
+
+  dialog.connect("response", (dlg, response) => {
+    if (response !== "save") return;
+
+    const name = nameEntry.text.trim();
+    if (name) onSave(name, MODES[modeDropDown.selected]);
+  });
+
+  dialog.present(parent);
+}
+
+function buildProfileRow(opts) {
+  const mode = opts.profile["color-scheme"];
+  const modeName = mode === "dark" ? _("Dark Mode") : _("Light Mode");
+
+  const row = new Adw.ActionRow({
+    title: GLib.markup_escape_text(opts.name, -1),
+    subtitle: opts.active ? `${modeName} · ${_("Active")}` : modeName,
+  });
+
+  const addButton = (iconName, tooltip, onClicked) => {
+    const button = new Gtk.Button({
+      icon_name: iconName,
+      valign: Gtk.Align.CENTER,
+      css_classes: ["flat"],
+      tooltip_text: tooltip,
+    });
+    button.connect("clicked", onClicked);
+    row.add_suffix(button);
+    return button;
+  };
+
+  const activateButton = addButton("object-select-symbolic", _("Use for This Mode"), () => {
+    activateProfile(opts.settings, opts.desktopSettings, opts.name);
+  });
+  activateButton.sensitive = !opts.active;
+
+  addButton("document-edit-symbolic", _("Rename"), () => {
+    showProfileDialog(row.get_root(), {
+      heading: _("Edit Profile"),
+      body: opts.active ? _("The active profile of a mode stays linked to it") : "",
+      name: opts.name,
+      mode,
+      modeEditable: !opts.active,
+    }, (name, newMode) => {
+      if (newMode !== mode) setProfileMode(opts.settings, opts.name, newMode);
+      if (name !== opts.name) renameProfile(opts.settings, opts.name, name);
+    });
+  });
+
+  addButton("edit-copy-symbolic", _("Duplicate"), () => {
+    duplicateProfile(opts.settings, opts.name);
+  });
+
+  const deleteButton = addButton("user-trash-symbolic", _("Delete"), () => {
+    deleteProfile(opts.settings, opts.name);
+  });
+  deleteButton.sensitive = !opts.active;
+
+  return row;
+}
+
+function getMethodNames() {
+  return {
+    snippets: _("Snippets"),
+    template: _("Template"),
+    symlink: _("Symlink"),
+  };
+}
+
+function buildTextArea(text) {
+  const view = new Gtk.TextView({
+    monospace: true,
+    top_margin: 6,
+    bottom_margin: 6,
+    left_margin: 6,
+    right_margin: 6,
+  });
+  view.buffer.text = text ?? "";
+
+  const scrolled = new Gtk.ScrolledWindow({
+    child: view,
+    min_content_height: 120,
+    max_content_height: 240,
+    propagate_natural_height: true,
+    css_classes: ["card"],
+  });
+  return { view, scrolled };
+}
+
+function buildCaption(text) {
+  return new Gtk.Label({
+    label: text,
+    xalign: 0,
+    wrap: true,
+    css_classes: ["caption-heading"],
+  });
+}
+
+function showManagedFileDialog(parent, entry, onSave) {
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 12,
+  });
+
+  const pathEntry = new Gtk.Entry({
+    text: entry.path ?? "",
+    placeholder_text: _("Target file, e.g. ~/.config/kitty/theme.conf"),
+  });
+  content.append(pathEntry);
+
+  const methodNames = getMethodNames();
+  const methodDropDown = Gtk.DropDown.new_from_strings(METHODS.map((method) => methodNames[method]));
+  methodDropDown.selected = Math.max(0, METHODS.indexOf(entry.method));
+  content.append(methodDropDown);
+
+  const stack = new Gtk.Stack({ vhomogeneous: false });
+  content.append(stack);
+
+  const isLink = entry.method === "symlink";
+  const lightText = buildTextArea(isLink ? "" : entry.light);
+  const darkText = buildTextArea(isLink ? "" : entry.dark);
+  const snippetsBox = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 6 });
+  snippetsBox.append(buildCaption(_("Light Mode")));
+  snippetsBox.append(lightText.scrolled);
+  snippetsBox.append(buildCaption(_("Dark Mode")));
+  snippetsBox.append(darkText.scrolled);
+  stack.add_named(snippetsBox, "snippets");
+
+  const templateText = buildTextArea(entry.template);
+  const templateBox = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 6 });
+  templateBox.append(buildCaption(_("Both Modes")));
+  templateBox.append(templateText.scrolled);
+  stack.add_named(templateBox, "template");
+
+  const lightLink = new Gtk.Entry({
+    text: isLink ? entry.light ?? "" : "",
+    placeholder_text: _("File linked in light mode"),
+  });
+  const darkLink = new Gtk.Entry({
+    text: isLink ? entry.dark ?? "" : "",
+    placeholder_text: _("File linked in dark mode"),
+  });
+  const symlinkBox = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 6 });
+  symlinkBox.append(lightLink);
+  symlinkBox.append(darkLink);
+  stack.add_named(symlinkBox, "symlink");
+
+  const hint = new Gtk.Label({
+    label: `${_("Placeholders")}: ${PLACEHOLDERS.map((name) => `{{${name}}}`).join(" ")}`,
+    xalign: 0,
+    wrap: true,
+    selectable: true,
+    css_classes: ["caption", "dim-label"],
+  });
+  content.append(hint);
+
+  const errorLabel = new Gtk.Label({
+    xalign: 0,
+    wrap: true,
+    css_classes: ["caption", "error"],
+  });
+  content.append(errorLabel);
+
+  const dialog = new Adw.AlertDialog({
+    heading: entry.path ? _("Edit Managed File") : _("New Managed File"),
+    extra_child: content,
+    default_response: "save",
+  });
+  dialog.add_response("cancel", _("Cancel"));
+  dialog.add_response("save", _("Save"));
+  dialog.set_response_appearance("save", Adw.ResponseAppearance.SUGGESTED);
+
+  const readEntry = () => {
+    const method = METHODS[methodDropDown.selected];
+    const edited = { path: pathEntry.text.trim(), method };
+
+    if (method === "snippets") {
+      edited.light = lightText.view.buffer.text;
+      edited.dark = darkText.view.buffer.text;
+    } else if (method === "template") {
+      edited.template = templateText.view.buffer.text;
+    } else {
+      edited.light = lightLink.text.trim();
+      edited.dark = darkLink.text.trim();
+    }
+    return edited;
+  };
+
+  const validate = () => {
+    stack.visible_child_name = METHODS[methodDropDown.selected];
+    hint.visible = stack.visible_child_name !== "symlink";
+
+    const errors = validateManagedFile(readEntry());
+    errorLabel.label = errors.join("\n");
+    errorLabel.visible = errors.length > 0;
+    dialog.set_response_enabled("save", errors.length === 0);
+  };
+
+  methodDropDown.connect("notify::selected", validate);
+  [pathEntry, lightLink, darkLink].forEach((widget) => widget.connect("changed", validate));
+  [lightText, darkText, templateText].forEach(({ view }) => view.buffer.connect("changed", validate));
+  validate();
+
+  dialog.connect("response", (dlg, response) => {
+    if (response !== "save") return;
+
+    const edited = readEntry();
+    if (!validateManagedFile(edited).length) onSave(edited);
+  });
+
+  dialog.present(parent);
+}
+
+function showDryRunDialog(parent, entry, settings) {
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 6,
+  });
+
+  MODES.forEach((mode) => {
+    let diff;
+    try {
+      diff = previewManagedFile(entry, mode, getPlaceholderValues(settings, mode));
+    } catch (e) {
+      diff = e.message;
+    }
+
+    const { view, scrolled } = buildTextArea(diff);
+    view.editable = false;
+    view.cursor_visible = false;
+    content.append(buildCaption(mode === "dark" ? _("Dark Mode") : _("Light Mode")));
+    content.append(scrolled);
+  });
+
+  const dialog = new Adw.AlertDialog({
+    heading: _("Dry Run"),
+    body: entry.path,
+    extra_child: content,
+  });
+  dialog.add_response("close", _("Close"));
+  dialog.present(parent);
+}
+
+function buildManagedFileRow(opts) {
+  const errors = validateManagedFile(opts.entry);
+
+  const row = new Adw.ActionRow({
+    title: GLib.markup_escape_text(opts.entry.path, -1),
+    subtitle: GLib.markup_escape_text(
+      `${getMethodNames()[opts.entry.method] ?? opts.entry.method} · ${errors.length ? errors[0] : _("Ready")}`, -1),
+  });
+
+  const addButton = (iconName, tooltip, onClicked) => {
+    const button = new Gtk.Button({
+      icon_name: iconName,
+      valign: Gtk.Align.CENTER,
+      css_classes: ["flat"],
+      tooltip_text: tooltip,
+    });
+    button.connect("clicked", onClicked);
+    row.add_suffix(button);
+    return button;
+  };
+
+  const dryRunButton = addButton("edit-find-symbolic", _("Dry Run"), () => {
+    showDryRunDialog(row.get_root(), opts.entry, opts.settings);
+  });
+  dryRunButton.sensitive = errors.length === 0;
+
+  addButton("document-edit-symbolic", _("Edit"), () => {
+    showManagedFileDialog(row.get_root(), opts.entry, opts.onEdit);
+  });
+
+  addButton("user-trash-symbolic", _("Delete"), opts.onDelete);
+
+  return row;
+}
+
+function getStageNames() {
+  return {
+    before: _("Before Themes"),
+    after: _("After Themes"),
+  };
+}
+
+function formatHookResult(result) {
+  if (!result) return _("Never run");
+
+  const [time, status, output] = result;
+  const when = GLib.DateTime.new_from_unix_local(time).format("%x %H:%M");
+  if (status === NO_STATUS) return `${output.split("\n").pop()} · ${when}`;
+  return `${status === 0 ? _("Succeeded") : `${_("Exit status")} ${status}`} · ${when}`;
+}
+
+function showHookDialog(parent, hook, onSave) {
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 12,
+  });
+
+  const nameEntry = new Gtk.Entry({
+    text: hook.name,
+    placeholder_text: _("Name"),
+  });
+  content.append(nameEntry);
+
+  const commandEntry = new Gtk.Entry({
+    text: hook.command,
+    placeholder_text: _("Command, run by /bin/sh"),
+    activates_default: true,
+  });
+  content.append(commandEntry);
+
+  const modeDropDown = Gtk.DropDown.new_from_strings([_("Light Mode"), _("Dark Mode")]);
+  modeDropDown.selected = Math.max(0, MODES.indexOf(hook.mode));
+  content.append(modeDropDown);
+
+  const stageNames = getStageNames();
+  const stageDropDown = Gtk.DropDown.new_from_strings(STAGES.map((stage) => stageNames[stage]));
+  stageDropDown.selected = Math.max(0, STAGES.indexOf(hook.stage));
+  content.append(stageDropDown);
+
+  content.append(new Gtk.Label({
+    label: `${_("Environment")}: ${Object.keys(ENVIRONMENT).join(" ")}`,
+    xalign: 0,
+    wrap: true,
+    wrap_mode: Pango.WrapMode.WORD_CHAR,
+    selectable: true,
+    css_classes: ["caption", "dim-label"],
+  }));
+
+  const dialog = new Adw.AlertDialog({
+    heading: hook.command ? _("Edit Hook") : _("New Hook"),
+    body: _("Runs in your home folder each time the chosen mode is switched to"),
+    extra_child: content,
+    default_response: "save",
+  });
+  dialog.add_response("cancel", _("Cancel"));
+  dialog.add_response("save", _("Save"));
+  dialog.set_response_appearance("save", Adw.ResponseAppearance.SUGGESTED);
+
+  const validate = () => dialog.set_response_enabled("save", commandEntry.text.trim() !== "");
+  commandEntry.connect("changed", validate);
+  validate();
+
+  dialog.connect("response", (dlg, response) => {
+    const command = commandEntry.text.trim();
+    if (response !== "save" || !command) return;
+
+    onSave({
+      ...hook,
+      name: nameEntry.text.trim(),
+      command,
+      mode: MODES[modeDropDown.selected],
+      stage: STAGES[stageDropDown.selected],
+    });
+  });
+
+  dialog.present(parent);
+}
+
+function showHookOutputDialog(parent, hook, result) {
+  const { view, scrolled } = buildTextArea(result[2] || _("No output"));
+  view.editable = false;
+  view.cursor_visible = false;
+
+  const dialog = new Adw.AlertDialog({
+    heading: GLib.markup_escape_text(hook.name || hook.command, -1),
+    body: formatHookResult(result),
+    extra_child: scrolled,
+  });
+  dialog.add_response("close", _("Close"));
+  dialog.present(parent);
+}
+
+function buildHookRow(opts) {
+  const hook = opts.hook;
+  const modeName = hook.mode === "dark" ? _("Dark Mode") : _("Light Mode");
+
+  const row = new Adw.ActionRow({
+    title: GLib.markup_escape_text(hook.name || hook.command, -1),
+    subtitle: GLib.markup_escape_text(
+      `${modeName} · ${getStageNames()[hook.stage] ?? hook.stage} · ${formatHookResult(opts.result)}`, -1),
+  });
+
+  const enabledSwitch = new Gtk.Switch({
+    active: hook.enabled === "true",
+    valign: Gtk.Align.CENTER,
+    tooltip_text: _("Enabled"),
+  });
+  enabledSwitch.connect("notify::active", () => {
+    opts.onEdit({ ...hook, enabled: String(enabledSwitch.active) });
+  });
+  row.add_prefix(enabledSwitch);
+
+  const addButton = (iconName, tooltip, onClicked) => {
+    const button = new Gtk.Button({
+      icon_name: iconName,
+      valign: Gtk.Align.CENTER,
+      css_classes: ["flat"],
+      tooltip_text: tooltip,
+    });
+    button.connect("clicked", onClicked);
+    row.add_suffix(button);
+    return button;
+  };
+
+  const testButton = addButton("media-playback-start-symbolic", _("Test Run"), async () => {
+    const parent = row.get_root();
+    testButton.sensitive = false;
+    let result;
+    try {
+      result = await runHook(hook, getHookEnvironment(opts.settings, hook.mode, hook.stage),
+        opts.settings.get_uint("hook-timeout"));
+    } catch (e) {
+      result = { time: GLib.DateTime.new_now_local().to_unix(), status: NO_STATUS, output: e.message };
+    } finally {
+      testButton.sensitive = true;
+    }
+    opts.onTested(result, parent);
+  });
+
+  const outputButton = addButton("utilities-terminal-symbolic", _("Last Output"), () => {
+    showHookOutputDialog(row.get_root(), hook, opts.result);
+  });
+  outputButton.sensitive = opts.result !== null;
+
+  addButton("document-edit-symbolic", _("Edit"), () => {
+    showHookDialog(row.get_root(), hook, opts.onEdit);
+  });
+
+  addButton("user-trash-symbolic", _("Delete"), opts.onDelete);
+
+  return row;
+}
+
+function getHistoryKeyNames() {
+  return {
+    "gtk-theme": _("Legacy Applications"),
+    "shell-theme": _("Shell"),
+    "icon-theme": _("Icons"),
+    "cursor-theme": _("Cursor"),
+    "accent-color": _("Accent Color"),
+    "picture-options": _("Placement"),
+    "primary-color": _("Primary Color"),
+    "secondary-color": _("Secondary Color"),
+    "color-shading-type": _("Color Shading"),
+    "lock-screen-uri": _("Lock Screen Image"),
+    "picture-uri": _("Wallpaper"),
+  };
+}
+
+function getSourceNames() {
+  return {
+    desktop: _("Desktop settings"),
+    automatic: _("Automatic"),
+    extension: _("Quick Settings or D-Bus"),
+    preferences: _("Preferences"),
+  };
+}
+
+function formatHistoryValue(value) {
+  if (!value) return _("None");
+  if (value.startsWith("file://")) return Gio.File.new_for_uri(value).get_basename();
+  return value;
+}
+
+function showRollBackDialog(parent, change, state, onConfirm) {
+  const keyNames = getHistoryKeyNames();
+  const lines = Object.entries(state).map(([key, value]) =>
+    `${keyNames[key] ?? key}: ${formatHistoryValue(value)}`);
+
+  const dialog = new Adw.AlertDialog({
+    heading: change.mode === "dark" ? _("Roll Back Dark Mode?") : _("Roll Back Light Mode?"),
+    body: lines.length
+      ? lines.join("\n")
+      : _("Nothing was saved before this change, so there is nothing to go back to"),
+  });
+  dialog.add_response("cancel", _("Cancel"));
+
+  if (lines.length) {
+    dialog.add_response("roll-back", _("Roll Back"));
+    dialog.set_response_appearance("roll-back", Adw.ResponseAppearance.DESTRUCTIVE);
+  }
+
+  dialog.connect("response", (dlg, response) => {
+    if (response === "roll-back") onConfirm(state);
+  });
+
+  dialog.present(parent);
+}
+
+function buildChangeRow(opts) {
+  const change = opts.change;
+  const modeName = change.mode === "dark" ? _("Dark Mode") : _("Light Mode");
+  const when = GLib.DateTime.new_from_unix_local(change.time).format("%x %H:%M");
+
+  const row = new Adw.ActionRow({
+    title: GLib.markup_escape_text(`${getHistoryKeyNames()[change.key] ?? change.key}: ` +
+      `${formatHistoryValue(change.oldValue)} → ${formatHistoryValue(change.newValue)}`, -1),
+    subtitle: GLib.markup_escape_text(
+      `${modeName} · ${when} · ${getSourceNames()[change.source] ?? change.source}`, -1),
+  });
+
+  const revertButton = new Gtk.Button({
+    icon_name: "edit-undo-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: change.oldValue ? _("Revert This Change") : _("Nothing was saved before"),
+    sensitive: change.oldValue !== "",
+  });
+  revertButton.connect("clicked", opts.onRevert);
+  row.add_suffix(revertButton);
+
+  const rollBackButton = new Gtk.Button({
+    icon_name: "document-revert-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Roll Mode Back to Before This Change"),
+  });
+  rollBackButton.connect("clicked", () => opts.onRollBack(row.get_root()));
+  row.add_suffix(rollBackButton);
+
+  return row;
+}
+
+function buildSpinRow(opts) {
+  const row = Adw.SpinRow.new_with_range(opts.lower, opts.upper, opts.step);
+  row.title = opts.title;
+  row.subtitle = opts.subtitle ?? "";
+  row.digits = opts.digits ?? 0;
+
+  opts.settings.bind(opts.key, row, "value", Gio.SettingsBindFlags.DEFAULT);
+
+  return row;
+}
+
+function buildSwitchRow(opts) {
+  const row = new Adw.SwitchRow({
+    title: opts.title,
+    subtitle: opts.subtitle ?? "",
+  });
+
+  opts.settings.bind(opts.key, row, "active", Gio.SettingsBindFlags.DEFAULT);
+
+  return row;
+}
+
+function formatTransition(transition) {
+  if (!transition) return _("Not scheduled");
+
+  const dateTime = GLib.DateTime.new_from_unix_local(Math.floor(transition.time.getTime() / 1000));
+  return dateTime.format("%A %H:%M");
+}
+
+// Translated on use; the catalog is not bound yet when the module loads.
+function getWeekdays() {
+  return [_("Sun"), _("Mon"), _("Tue"), _("Wed"), _("Thu"), _("Fri"), _("Sat")];
+}
+
+const EVERY_DAY = 0b1111111;
+const WEEK_DAYS = 0b0111110;
+const WEEKEND_DAYS = 0b1000001;
+
+function formatRuleDays(days) {
+  if (days === EVERY_DAY) return _("Every day");
+  if (days === WEEK_DAYS) return _("Weekdays");
+  if (days === WEEKEND_DAYS) return _("Weekends");
+
+  // List Monday first, as a week is usually read.
+  const weekdays = getWeekdays();
+  return [1, 2, 3, 4, 5, 6, 0]
+    .filter((day) => days & (1 << day))
+    .map((day) => weekdays[day])
+    .join(", ");
+}
+
+function formatRuleTime(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function showRuleDialog(parent, rule, onSave) {
+  const [days, minutes, isDark] = rule;
+
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 12,
+  });
+
+  const daysBox = new Gtk.Box({
+    spacing: 4,
+    halign: Gtk.Align.CENTER,
+    css_classes: ["linked"],
+  });
+  const weekdays = getWeekdays();
+  const dayButtons = [1, 2, 3, 4, 5, 6, 0].map((day) => {
+    const button = new Gtk.ToggleButton({
+      label: weekdays[day],
+      active: Boolean(days & (1 << day)),
+    });
+    daysBox.append(button);
+    return { day, button };
+  });
+  content.append(daysBox);
+
+  const timeBox = new Gtk.Box({
+    spacing: 6,
+    halign: Gtk.Align.CENTER,
+  });
+  const hourSpin = Gtk.SpinButton.new_with_range(0, 23, 1);
+  hourSpin.value = Math.floor(minutes / 60);
+  const minuteSpin = Gtk.SpinButton.new_with_range(0, 59, 5);
+  minuteSpin.value = minutes % 60;
+  timeBox.append(hourSpin);
+  timeBox.append(new Gtk.Label({ label: ":" }));
+  timeBox.append(minuteSpin);
+  content.append(timeBox);
+
+  const modeDropDown = Gtk.DropDown.new_from_strings([_("Light Mode"), _("Dark Mode")]);
+  modeDropDown.selected = isDark ? 1 : 0;
+  content.append(modeDropDown);
+
+  const dialog = new Adw.AlertDialog({
+    heading: _("Schedule Rule"),
+    body: _("Switch to the chosen mode at this time on the selected days"),
+    extra_child: content,
+  });
+  dialog.add_response("cancel", _("Cancel"));
+  dialog.add_response("save", _("Save"));
+  dialog.set_response_appearance("save", Adw.ResponseAppearance.SUGGESTED);
+
+  dialog.connect("response", (dlg, response) => {
+    if (response !== "save") return;
+
+    const selectedDays = dayButtons
+      .filter(({ button }) => button.active)
+      .reduce((mask, { day }) => mask | (1 << day), 0);
+    if (!selectedDays) return;
+
+    onSave([
+      selectedDays,
+      hourSpin.get_value_as_int() * 60 + minuteSpin.get_value_as_int(),
+      modeDropDown.selected === 1,
+    ]);
+  });
+
+  dialog.present(parent);
+}
+
+function buildWeeklyRulesRow(opts) {
+  const expander = new Adw.ExpanderRow({
+    title: _("Weekly Rules"),
+    subtitle: _("Times at which the mode switches on each day"),
+  });
+
+  const readRules = () => opts.settings.get_value(opts.key).deepUnpack();
+  const writeRules = (rules) => {
+    const sorted = [...rules].sort((a, b) => a[1] - b[1]);
+    opts.settings.set_value(opts.key, new GLib.Variant("a(iib)", sorted));
+  };
+
+  let rows = [];
+
+  const rebuild = () => {
+    rows.forEach((row) => expander.remove(row));
+    rows = [];
+
+    readRules().forEach((rule, index) => {
+      const [days, minutes, isDark] = rule;
+      const row = new Adw.ActionRow({
+        title: `${formatRuleDays(days)} ${formatRuleTime(minutes)}`,
+        subtitle: isDark ? _("Dark Mode") : _("Light Mode"),
+      });
+
+      const editButton = new Gtk.Button({
+        icon_name: "document-edit-symbolic",
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+        tooltip_text: _("Edit"),
+      });
+      editButton.connect("clicked", () => {
+        showRuleDialog(row.get_root(), rule, (newRule) => {
+          const rules = readRules();
+          rules[index] = newRule;
+          writeRules(rules);
+        });
+      });
+
+      const removeButton = new Gtk.Button({
+        icon_name: "user-trash-symbolic",
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+        tooltip_text: _("Remove"),
+      });
+      removeButton.connect("clicked", () => {
+        const rules = readRules();
+        rules.splice(index, 1);
+        writeRules(rules);
+      });
+
+      row.add_suffix(editButton);
+      row.add_suffix(removeButton);
+      expander.add_row(row);
+      rows.push(row);
+    });
+
+    const addRow = new Adw.ButtonRow({
+      title: _("Add Rule"),
+      start_icon_name: "list-add-symbolic",
+    });
+    addRow.connect("activated", () => {
+      showRuleDialog(addRow.get_root(), [WEEK_DAYS, 18 * 60, true], (newRule) => {
+        writeRules([...readRules(), newRule]);
+      });
+    });
+    expander.add_row(addRow);
+    rows.push(addRow);
+  };
+
+  opts.handlers.push([opts.settings, opts.settings.connect(`changed::${opts.key}`, rebuild)]);
+  rebuild();
+
+  return expander;
+}
+
+// "Auto" lets the extension derive the accent from the wallpaper; the row
+// then shows the extracted palette and the accent it picked.
+function buildAccentDropDown(opts) {
+  const key = `${opts.mode}-accent-color`;
+  const autoKey = `${opts.mode}-accent-auto`;
+  const paletteKey = `${opts.mode}-accent-palette`;
+
+  const liststore = new Gio.ListStore({ item_type: AccentItems });
+  liststore.append(new AccentItems(_("Auto"), "auto", ""));
+  for (const accent of ACCENT_COLORS) {
+    liststore.append(new AccentItems(_(accent.name), accent.value, accent.color));
+  }
+
+  const factory = new Gtk.SignalListItemFactory();
+  
+  factory.connect("setup", (factory, list_item) => {
+    const label = new Gtk.Label({
+      xalign: 0,
+      hexpand: true,
+      use_markup: true,
+    });
+    list_item.set_child(label);
+  });
+  
+  factory.connect("bind", (factory, list_item) => {
+    const item = list_item.get_item();
+    const label = list_item.get_child();
+    const coloredText = item.color
+      ? `<span foreground="${item.color}">${item.name}</span>`
+      : item.name;
+    label.set_markup(coloredText);
+  });
+
+  const comboRow = new Adw.ComboRow({
+    title: opts.title,
+    model: liststore,
+    factory: factory,
+    expression: new Gtk.PropertyExpression(AccentItems, null, "name"),
+  });
+
+  const paletteLabel = new Gtk.Label({
+    use_markup: true,
+    valign: Gtk.Align.CENTER,
+  });
+  comboRow.add_suffix(paletteLabel);
+
+  const sync = () => {
+    const isAuto = opts.settings.get_boolean(autoKey);
+    const value = opts.settings.get_string(key);
+    const position = findItemPosition(liststore, isAuto ? "auto" : value);
+    if (comboRow.selected !== position) comboRow.selected = position;
+
+    const accent = ACCENT_COLORS.find((a) => a.value === value);
+    comboRow.subtitle = isAuto && accent ? `${_("From the wallpaper")}: ${_(accent.name)}` : "";
+
+    const palette = isAuto ? opts.settings.get_strv(paletteKey) : [];
+    paletteLabel.set_markup(palette
+      .map((color) => `<span foreground="${color}">●</span>`)
+      .join(" "));
+    paletteLabel.visible = palette.length > 0;
+  };
+
+  comboRow.connect("notify::selected", () => {
+    const item = comboRow.selectedItem;
+    if (!item) return;
+
+    const isAuto = item.value === "auto";
+    if (opts.settings.get_boolean(autoKey) !== isAuto) opts.settings.set_boolean(autoKey, isAuto);
+    if (!isAuto && opts.settings.get_string(key) !== item.value) opts.settings.set_string(key, item.value);
+  });
+
+  [key, autoKey, paletteKey].forEach((k) => {
+    opts.handlers.push([opts.settings, opts.settings.connect(`changed::${k}`, sync)]);
+  });
+  sync();
+
   return comboRow;
 }
 
+function formatDuration(seconds) {
+  if (seconds >= 3600) return `${Number((seconds / 3600).toFixed(1))} h`;
+  return `${Math.round(seconds / 60)} min`;
+}
+
+function describeBackgroundXml(background) {
+  const count = background.items.filter((item) => item.type === "static").length;
+  const images = ngettext("%d image", "%d images", count).replace("%d", count);
+  return `${_("Timed")} · ${images} · ${formatDuration(getCycleDuration(background))}`;
+}
+
 function createImagePreview(uri, width = 150, height = 100) {
   const box = new Gtk.Box({
     orientation: Gtk.Orientation.VERTICAL,
@@ -310,6 +2226,7 @@ function createImagePreview(uri, width = 150, height = 100) {
     content_fit: Gtk.ContentFit.COVER,
   });
 
+  let caption = null;
   if (uri && uri.trim() !== '') {
     let filePath = uri.replace("file://", "");
     
@@ -317,8 +2234,20 @@ function createImagePreview(uri, width = 150, height = 100) {
       filePath = decodeURIComponent(uri).replace("file://", "");
     }
     
+    // Timed wallpapers are previewed with the image they show right now.
+    if (isBackgroundXml(filePath)) {
+      try {
+        const background = loadBackgroundXml(filePath);
+        filePath = getImageAt(background);
+        caption = describeBackgroundXml(background);
+      } catch (e) {
+        filePath = "";
+        caption = _("Unreadable timed wallpaper");
+      }
+    }
+
     const file = Gio.File.new_for_path(filePath);
-    if (file.query_exists(null)) {
+    if (filePath && file.query_exists(null)) {
       const pixbuf = GdkPixbuf.Pixbuf.new_from_file_at_scale(
         filePath,
         width * 2,
@@ -336,6 +2265,16 @@ function createImagePreview(uri, width = 150, height = 100) {
   });
 
   box.append(frame);
+
+  if (caption) {
+    box.append(new Gtk.Label({
+      label: caption,
+      css_classes: ["caption", "dim-label"],
+      ellipsize: Pango.EllipsizeMode.END,
+      max_width_chars: 20,
+    }));
+  }
+
   return box;
 }
 
@@ -371,6 +2310,13 @@ function buildBackgroundPreviewRow(opts) {
   });
   lightBox.append(lightButton);
 
+  const lightTimedButton = new Gtk.Button({
+    label: _("Timed Wallpaper…"),
+    halign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+  });
+  lightBox.append(lightTimedButton);
+
   const darkBox = new Gtk.Box({
     orientation: Gtk.Orientation.VERTICAL,
     spacing: 8,
@@ -392,6 +2338,13 @@ function buildBackgroundPreviewRow(opts) {
   });
   darkBox.append(darkButton);
 
+  const darkTimedButton = new Gtk.Button({
+    label: _("Timed Wallpaper…"),
+    halign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+  });
+  darkBox.append(darkTimedButton);
+
   previewContainer.append(lightBox);
   previewContainer.append(new Gtk.Separator({ orientation: Gtk.Orientation.VERTICAL }));
   previewContainer.append(darkBox);
@@ -403,6 +2356,15 @@ function buildBackgroundPreviewRow(opts) {
     box.insert_child_after(newPreview, box.get_first_child());
   };
 
+  // Activating a profile changes the wallpapers from outside this row.
+  if (opts.handlers) {
+    [["picture-uri", lightBox], ["picture-uri-dark", darkBox]].forEach(([key, box]) => {
+      opts.handlers.push([opts.desktopSettings, opts.desktopSettings.connect(`changed::${key}`, () => {
+        updatePreview(box, opts.desktopSettings.get_string(key));
+      })]);
+    });
+  }
+
   lightButton.connect("clicked", () => {
     const dialog = Gtk.FileChooserNative.new(
       _("Choose Light Mode Background"),
@@ -422,6 +2384,11 @@ function buildBackgroundPreviewRow(opts) {
     filter.add_mime_type("image/svg+xml");
     dialog.add_filter(filter);
 
+    const xmlFilter = new Gtk.FileFilter();
+    xmlFilter.set_name(_("Timed Wallpapers"));
+    xmlFilter.add_pattern("*.xml");
+    dialog.add_filter(xmlFilter);
+
     const picturesPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
     if (picturesPath) {
       dialog.set_current_folder(Gio.File.new_for_path(picturesPath));
@@ -464,6 +2431,11 @@ function buildBackgroundPreviewRow(opts) {
     filter.add_mime_type("image/svg+xml");
     dialog.add_filter(filter);
 
+    const xmlFilter = new Gtk.FileFilter();
+    xmlFilter.set_name(_("Timed Wallpapers"));
+    xmlFilter.add_pattern("*.xml");
+    dialog.add_filter(xmlFilter);
+
     const picturesPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
     if (picturesPath) {
       dialog.set_current_folder(Gio.File.new_for_path(picturesPath));
@@ -487,11 +2459,644 @@ function buildBackgroundPreviewRow(opts) {
     dialog.show();
   });
 
+  [["picture-uri", "light", lightTimedButton], ["picture-uri-dark", "dark", darkTimedButton]]
+    .forEach(([key, mode, button]) => {
+      button.connect("clicked", () => {
+        const window = previewContainer.get_root();
+        let background = null;
+
+        // Start from the current timed wallpaper of the mode, if any.
+        const uri = opts.desktopSettings.get_string(key);
+        if (isBackgroundXml(uri)) {
+          try {
+            background = loadBackgroundXml(Gio.File.new_for_uri(uri).get_path());
+          } catch (e) {
+            background = null;
+          }
+        }
+
+        showTimedWallpaperDialog(window, { mode, background }, (images, transition) => {
+          try {
+            const newUri = saveBackgroundXml(mode, buildBackgroundXml(images, transition));
+            opts.desktopSettings.set_string(key, newUri);
+          } catch (e) {
+            window.add_toast(new Adw.Toast({ title: `${_("Could not save the wallpaper")}: ${e.message}` }));
+          }
+        });
+      });
+    });
+
   return new Adw.PreferencesRow({
     child: previewContainer,
   });
 }
 
+function showTimedWallpaperDialog(parent, opts, onSave) {
+  const statics = opts.background?.items.filter((item) => item.type === "static" && item.file) ?? [];
+  const images = statics.map((item) => ({ path: item.file, duration: item.duration }));
+  const firstTransition = opts.background?.items.find((item) => item.type === "transition");
+
+  const content = new Gtk.Box({
+    orientation: Gtk.Orientation.VERTICAL,
+    spacing: 12,
+  });
+
+  const list = new Gtk.ListBox({
+    selection_mode: Gtk.SelectionMode.NONE,
+    css_classes: ["boxed-list"],
+  });
+  content.append(new Gtk.ScrolledWindow({
+    child: list,
+    hscrollbar_policy: Gtk.PolicyType.NEVER,
+    propagate_natural_height: true,
+    max_content_height: 320,
+  }));
+
+  const addButton = new Gtk.Button({
+    label: _("Add Images…"),
+    halign: Gtk.Align.CENTER,
+  });
+  content.append(addButton);
+
+  const transitionRow = Adw.SpinRow.new_with_range(0, 600, 1);
+  transitionRow.title = _("Transition");
+  transitionRow.subtitle = _("Seconds of cross-fade between images");
+  transitionRow.value = firstTransition?.duration ?? 5;
+  const transitionList = new Gtk.ListBox({
+    selection_mode: Gtk.SelectionMode.NONE,
+    css_classes: ["boxed-list"],
+  });
+  transitionList.append(transitionRow);
+  content.append(transitionList);
+
+  const dialog = new Adw.AlertDialog({
+    heading: opts.mode === "dark" ? _("Dark Mode Timed Wallpaper") : _("Light Mode Timed Wallpaper"),
+    body: _("Images are shown in turn, each for its own time, and the sequence loops"),
+    extra_child: content,
+  });
+  dialog.add_response("cancel", _("Cancel"));
+  dialog.add_response("save", _("Save"));
+  dialog.set_response_appearance("save", Adw.ResponseAppearance.SUGGESTED);
+
+  const rebuild = () => {
+    list.remove_all();
+    dialog.set_response_enabled("save", images.length > 0);
+
+    images.forEach((image, index) => {
+      const row = Adw.SpinRow.new_with_range(1, 1440, 5);
+      row.title = GLib.markup_escape_text(GLib.path_get_basename(image.path), -1);
+      row.subtitle = _("Minutes shown");
+      row.value = Math.max(1, Math.round(image.duration / 60));
+      row.connect("notify::value", () => {
+        image.duration = row.value * 60;
+      });
+
+      const upButton = new Gtk.Button({
+        icon_name: "go-up-symbolic",
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+        tooltip_text: _("Move Up"),
+        sensitive: index > 0,
+      });
+      upButton.connect("clicked", () => {
+        [images[index - 1], images[index]] = [images[index], images[index - 1]];
+        rebuild();
+      });
+      row.add_suffix(upButton);
+
+      const removeButton = new Gtk.Button({
+        icon_name: "user-trash-symbolic",
+        valign: Gtk.Align.CENTER,
+        css_classes: ["flat"],
+        tooltip_text: _("Remove"),
+      });
+      removeButton.connect("clicked", () => {
+        images.splice(index, 1);
+        rebuild();
+      });
+      row.add_suffix(removeButton);
+
+      list.append(row);
+    });
+  };
+
+  addButton.connect("clicked", () => {
+    const chooser = Gtk.FileChooserNative.new(
+      _("Add Images"),
+      parent,
+      Gtk.FileChooserAction.OPEN,
+      _("Add"),
+      _("Cancel")
+    );
+    chooser.select_multiple = true;
+
+    const filter = new Gtk.FileFilter();
+    filter.set_name(_("Images"));
+    filter.add_mime_type("image/*");
+    chooser.add_filter(filter);
+
+    const picturesPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
+    if (picturesPath) {
+      chooser.set_current_folder(Gio.File.new_for_path(picturesPath));
+    }
+
+    chooser.connect("response", (dlg, response) => {
+      if (response === Gtk.ResponseType.ACCEPT) {
+        const files = dlg.get_files();
+        for (let i = 0; i < files.get_n_items(); i++) {
+          const path = files.get_item(i).get_path();
+          if (path) images.push({ path, duration: 30 * 60 });
+        }
+        rebuild();
+      }
+      dlg.destroy();
+    });
+
+    chooser.set_modal(true);
+    chooser.show();
+  });
+
+  dialog.connect("response", (dlg, response) => {
+    if (response !== "save" || !images.length) return;
+    onSave(images, transitionRow.value);
+  });
+
+  rebuild();
+  dialog.present(parent);
+}
+
+function getGtk4Methods() {
+  return [
+    { name: _("Symbolic Links"), value: "symlink" },
+    { name: _("Copies"), value: "copy" },
+  ];
+}
+
+function getPictureOptions() {
+  return [
+    { name: _("Unchanged"), value: "" },
+    { name: _("Zoom"), value: "zoom" },
+    { name: _("Centered"), value: "centered" },
+    { name: _("Scaled"), value: "scaled" },
+    { name: _("Stretched"), value: "stretched" },
+    { name: _("Tiled"), value: "wallpaper" },
+    { name: _("Spanned"), value: "spanned" },
+    { name: _("No Image"), value: "none" },
+  ];
+}
+
+function getShadingTypes() {
+  return [
+    { name: _("Unchanged"), value: "" },
+    { name: _("Solid"), value: "solid" },
+    { name: _("Horizontal Gradient"), value: "horizontal" },
+    { name: _("Vertical Gradient"), value: "vertical" },
+  ];
+}
+
+function rgbaToHex(rgba) {
+  return `#${[rgba.red, rgba.green, rgba.blue]
+    .map((channel) => Math.round(channel * 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+// An empty value leaves the current color alone when the mode is applied.
+function buildColorRow(opts) {
+  const row = new Adw.ActionRow({
+    title: opts.title,
+  });
+
+  const colorButton = new Gtk.ColorDialogButton({
+    dialog: new Gtk.ColorDialog({ with_alpha: false }),
+    valign: Gtk.Align.CENTER,
+  });
+  const clearButton = new Gtk.Button({
+    icon_name: "edit-clear-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Leave Unchanged"),
+  });
+  row.add_suffix(colorButton);
+  row.add_suffix(clearButton);
+
+  const sync = () => {
+    const value = opts.settings.get_string(opts.key);
+    const rgba = new Gdk.RGBA();
+    const isSet = Boolean(value) && rgba.parse(value);
+    if (isSet) colorButton.rgba = rgba;
+    row.subtitle = isSet ? value : opts.emptyLabel ?? _("Unchanged");
+    clearButton.sensitive = isSet;
+  };
+
+  colorButton.connect("notify::rgba", () => {
+    const value = rgbaToHex(colorButton.rgba);
+    if (opts.settings.get_string(opts.key) !== value) opts.settings.set_string(opts.key, value);
+  });
+  clearButton.connect("clicked", () => opts.settings.set_string(opts.key, ""));
+
+  opts.handlers.push([opts.settings, opts.settings.connect(`changed::${opts.key}`, sync)]);
+  sync();
+
+  return row;
+}
+
+function buildLockScreenRow(opts) {
+  const key = `${opts.mode}-lock-screen-uri`;
+
+  const row = new Adw.ActionRow({
+    title: _("Lock Screen Image"),
+  });
+
+  const chooseButton = new Gtk.Button({
+    icon_name: "document-open-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Choose Image"),
+  });
+  const clearButton = new Gtk.Button({
+    icon_name: "edit-clear-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Leave Unchanged"),
+  });
+  row.add_suffix(chooseButton);
+  row.add_suffix(clearButton);
+
+  const sync = () => {
+    const uri = opts.settings.get_string(key);
+    row.subtitle = uri
+      ? GLib.markup_escape_text(Gio.File.new_for_uri(uri).get_basename(), -1)
+      : _("Unchanged");
+    clearButton.sensitive = Boolean(uri);
+  };
+
+  chooseButton.connect("clicked", () => {
+    const dialog = Gtk.FileChooserNative.new(
+      _("Choose Lock Screen Image"),
+      row.get_root(),
+      Gtk.FileChooserAction.OPEN,
+      _("Open"),
+      _("Cancel")
+    );
+
+    const filter = new Gtk.FileFilter();
+    filter.set_name(_("Images"));
+    filter.add_mime_type("image/*");
+    dialog.add_filter(filter);
+
+    const picturesPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
+    if (picturesPath) {
+      dialog.set_current_folder(Gio.File.new_for_path(picturesPath));
+    }
+
+    dialog.connect("response", (dlg, response) => {
+      if (response === Gtk.ResponseType.ACCEPT) {
+        const uri = dlg.get_file()?.get_uri();
+        if (uri) opts.settings.set_string(key, uri);
+      }
+      dlg.destroy();
+    });
+
+    dialog.set_modal(true);
+    dialog.show();
+  });
+
+  clearButton.connect("clicked", () => opts.settings.set_string(key, ""));
+
+  opts.handlers.push([opts.settings, opts.settings.connect(`changed::${key}`, sync)]);
+  sync();
+
+  return row;
+}
+
+// The extension renders the full size image; this row previews the options
+// on a thumbnail of the light wallpaper.
+function buildDarkVariantRow(opts) {
+  const expander = new Adw.ExpanderRow({
+    title: _("Generate Dark Wallpaper"),
+    subtitle: _("Render the dark wallpaper from the light one, again whenever it changes"),
+    show_enable_switch: true,
+  });
+  opts.settings.bind("dark-variant-enabled", expander, "enable-expansion", Gio.SettingsBindFlags.DEFAULT);
+
+  const previewBox = new Gtk.Box({
+    spacing: 12,
+    halign: Gtk.Align.CENTER,
+    margin_top: 12,
+    margin_bottom: 12,
+  });
+  const resultPicture = new Gtk.Picture({
+    width_request: 150,
+    height_request: 100,
+    can_shrink: true,
+    content_fit: Gtk.ContentFit.COVER,
+  });
+  const resultFrame = new Gtk.Frame({
+    child: resultPicture,
+    css_classes: ["card"],
+    valign: Gtk.Align.START,
+  });
+  expander.add_row(new Adw.PreferencesRow({ child: previewBox, activatable: false }));
+
+  let thumbnail = null;
+  const updateResult = () => {
+    resultPicture.set_paintable(thumbnail
+      ? Gdk.Texture.new_for_pixbuf(renderDarkVariant(thumbnail, readVariantOptions(opts.settings)))
+      : null);
+  };
+
+  const loadThumbnail = async () => {
+    const uri = opts.desktopSettings.get_string("picture-uri");
+    let child;
+    while ((child = previewBox.get_first_child())) previewBox.remove(child);
+    previewBox.append(createImagePreview(uri));
+    previewBox.append(new Gtk.Image({ icon_name: "go-next-symbolic", valign: Gtk.Align.CENTER }));
+    previewBox.append(resultFrame);
+
+    thumbnail = null;
+    try {
+      let file = Gio.File.new_for_uri(uri);
+      if (isBackgroundXml(uri)) {
+        file = Gio.File.new_for_path(getImageAt(loadBackgroundXml(file.get_path())));
+      }
+      thumbnail = await loadScaledPixbuf(file, 300);
+    } catch (e) {
+      thumbnail = null;
+    }
+    updateResult();
+  };
+
+  [
+    ["dark-variant-dim", _("Dimming"), _("Percentage of black laid over the image"), 90],
+    ["dark-variant-desaturate", _("Desaturation"), _("Percentage of color removed"), 100],
+    ["dark-variant-blur", _("Blur"), _("Strength, relative to the image size"), 100],
+  ].forEach(([key, title, subtitle, upper]) => {
+    expander.add_row(buildSpinRow({
+      title,
+      subtitle,
+      settings: opts.settings,
+      key,
+      lower: 0,
+      upper,
+      step: 5,
+    }));
+  });
+
+  expander.add_row(buildColorRow({
+    title: _("Overlay Color"),
+    emptyLabel: _("None"),
+    settings: opts.settings,
+    key: "dark-variant-overlay",
+    handlers: opts.handlers,
+  }));
+
+  expander.add_row(buildSpinRow({
+    title: _("Overlay Opacity"),
+    subtitle: _("Percentage of the overlay color"),
+    settings: opts.settings,
+    key: "dark-variant-overlay-opacity",
+    lower: 0,
+    upper: 100,
+    step: 5,
+  }));
+
+  ["dark-variant-dim", "dark-variant-desaturate", "dark-variant-blur",
+    "dark-variant-overlay", "dark-variant-overlay-opacity"].forEach((key) => {
+    opts.handlers.push([opts.settings, opts.settings.connect(`changed::${key}`, updateResult)]);
+  });
+  opts.handlers.push([opts.desktopSettings,
+    opts.desktopSettings.connect("changed::picture-uri", loadThumbnail)]);
+  loadThumbnail();
+
+  return expander;
+}
+
+// Placement, background colors and lock screen image of one mode. They are
+// applied with the mode, like its wallpaper.
+function buildWallpaperOptionsRow(opts) {
+  const expander = new Adw.ExpanderRow({
+    title: opts.title,
+  });
+
+  expander.add_row(buildDropDown({
+    title: _("Placement"),
+    items: getPictureOptions(),
+    selected: opts.settings.get_string(`${opts.mode}-picture-options`),
+    bind: [opts.settings, `${opts.mode}-picture-options`],
+    handlers: opts.handlers,
+  }));
+
+  expander.add_row(buildDropDown({
+    title: _("Color Shading"),
+    items: getShadingTypes(),
+    selected: opts.settings.get_string(`${opts.mode}-color-shading-type`),
+    bind: [opts.settings, `${opts.mode}-color-shading-type`],
+    handlers: opts.handlers,
+  }));
+
+  expander.add_row(buildColorRow({
+    title: _("Primary Color"),
+    settings: opts.settings,
+    key: `${opts.mode}-primary-color`,
+    handlers: opts.handlers,
+  }));
+
+  expander.add_row(buildColorRow({
+    title: _("Secondary Color"),
+    settings: opts.settings,
+    key: `${opts.mode}-secondary-color`,
+    handlers: opts.handlers,
+  }));
+
+  expander.add_row(buildLockScreenRow(opts));
+
+  return expander;
+}
+
+function buildWallpaperHistoryRow(opts) {
+  const expander = new Adw.ExpanderRow({
+    title: opts.title,
+  });
+
+  const flowBox = new Gtk.FlowBox({
+    selection_mode: Gtk.SelectionMode.NONE,
+    max_children_per_line: 6,
+    column_spacing: 6,
+    row_spacing: 6,
+    margin_top: 12,
+    margin_bottom: 12,
+    margin_start: 12,
+    margin_end: 12,
+  });
+  expander.add_row(new Adw.PreferencesRow({ child: flowBox, activatable: false }));
+
+  const addButton = (box, iconName, tooltip, onClicked) => {
+    const button = new Gtk.Button({
+      icon_name: iconName,
+      css_classes: ["flat"],
+      tooltip_text: tooltip,
+    });
+    button.connect("clicked", onClicked);
+    box.append(button);
+    return button;
+  };
+
+  const rebuild = () => {
+    const history = getWallpaperHistory(opts.settings, opts.mode);
+    expander.subtitle = history.length
+      ? ngettext("%d wallpaper", "%d wallpapers", history.length).replace("%d", history.length)
+      : _("No wallpaper used yet");
+    flowBox.remove_all();
+
+    history.forEach((uri) => {
+      const file = Gio.File.new_for_uri(uri);
+      const exists = file.query_exists(null);
+
+      const box = createImagePreview(uri, 96, 64);
+      box.tooltip_text = exists ? file.get_parse_name() : `${_("Missing")}: ${file.get_parse_name()}`;
+      box.opacity = exists ? 1 : 0.4;
+
+      const buttons = new Gtk.Box({
+        halign: Gtk.Align.CENTER,
+        css_classes: ["linked"],
+      });
+      MODES.forEach((mode) => {
+        const button = addButton(buttons,
+          mode === "dark" ? "weather-clear-night-symbolic" : "weather-clear-symbolic",
+          mode === "dark" ? _("Use for Dark Mode") : _("Use for Light Mode"),
+          () => opts.desktopSettings.set_string(WALLPAPER_KEYS[mode], uri));
+        button.sensitive = exists;
+      });
+      addButton(buttons, "user-trash-symbolic", _("Forget"), () => {
+        forgetWallpaper(opts.settings, opts.mode, uri);
+      });
+      box.append(buttons);
+
+      flowBox.append(box);
+    });
+  };
+
+  opts.handlers.push([opts.settings,
+    opts.settings.connect(`changed::${opts.mode}-wallpaper-history`, rebuild)]);
+  rebuild();
+
+  return expander;
+}
+
+function buildSlideshowFolderRow(opts) {
+  const folderKey = `${opts.mode}-wallpaper-folder`;
+  const excludedKey = `${opts.mode}-slideshow-excluded`;
+
+  const expander = new Adw.ExpanderRow({
+    title: opts.title,
+  });
+
+  const chooseButton = new Gtk.Button({
+    icon_name: "folder-open-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Choose Folder"),
+  });
+  const clearButton = new Gtk.Button({
+    icon_name: "edit-clear-symbolic",
+    valign: Gtk.Align.CENTER,
+    css_classes: ["flat"],
+    tooltip_text: _("Use a Single Image"),
+  });
+  expander.add_suffix(chooseButton);
+  expander.add_suffix(clearButton);
+
+  const flowBox = new Gtk.FlowBox({
+    selection_mode: Gtk.SelectionMode.NONE,
+    max_children_per_line: 6,
+    column_spacing: 6,
+    row_spacing: 6,
+    margin_top: 12,
+    margin_bottom: 12,
+    margin_start: 12,
+    margin_end: 12,
+  });
+  expander.add_row(new Adw.PreferencesRow({ child: flowBox, activatable: false }));
+
+  const toggleExcluded = (name, included) => {
+    const excluded = opts.settings.get_strv(excludedKey).filter((n) => n !== name);
+    if (!included) excluded.push(name);
+    opts.settings.set_strv(excludedKey, excluded);
+  };
+
+  const rebuild = async () => {
+    const folder = opts.settings.get_string(folderKey);
+    expander.subtitle = folder || _("Not set, the single wallpaper is used");
+    clearButton.sensitive = Boolean(folder);
+    flowBox.remove_all();
+
+    const excluded = opts.settings.get_strv(excludedKey);
+    for (const file of await listSlideshowImages(folder)) {
+      const name = file.get_basename();
+      const isIncluded = !excluded.includes(name);
+
+      const box = createImagePreview(file.get_uri(), 96, 64);
+      box.opacity = isIncluded ? 1 : 0.4;
+
+      const check = new Gtk.CheckButton({
+        child: new Gtk.Label({
+          label: name,
+          ellipsize: Pango.EllipsizeMode.MIDDLE,
+          max_width_chars: 12,
+        }),
+        active: isIncluded,
+        tooltip_text: name,
+      });
+      check.connect("toggled", () => {
+        box.opacity = check.active ? 1 : 0.4;
+        toggleExcluded(name, check.active);
+      });
+      box.append(check);
+
+      flowBox.append(box);
+    }
+  };
+
+  chooseButton.connect("clicked", () => {
+    const dialog = Gtk.FileChooserNative.new(
+      _("Choose Slideshow Folder"),
+      expander.get_root(),
+      Gtk.FileChooserAction.SELECT_FOLDER,
+      _("Select"),
+      _("Cancel")
+    );
+
+    const picturesPath = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
+    if (picturesPath) {
+      dialog.set_current_folder(Gio.File.new_for_path(picturesPath));
+    }
+
+    dialog.connect("response", (dlg, response) => {
+      if (response === Gtk.ResponseType.ACCEPT) {
+        const path = dlg.get_file()?.get_path();
+        if (path) {
+          opts.settings.set_strv(excludedKey, []);
+          opts.settings.set_uint(`${opts.mode}-slideshow-position`, 0);
+          opts.settings.set_string(folderKey, path);
+        }
+      }
+      dlg.destroy();
+    });
+
+    dialog.set_modal(true);
+    dialog.show();
+  });
+
+  clearButton.connect("clicked", () => {
+    opts.settings.set_string(folderKey, "");
+  });
+
+  opts.handlers.push([opts.settings, opts.settings.connect(`changed::${folderKey}`, rebuild)]);
+  rebuild();
+
+  return expander;
+}
+
 function buildKeybindingRow(opts) {
   const row = new Adw.ActionRow({
     title: opts.title,
@@ -573,24 +3178,6 @@ function buildKeybindingRow(opts) {
 }
 
 // Theme collection utilities
-function getDirs(type) {
-  const fn = (...args) => GLib.build_filenamev(args);
-  return [
-    fn(GLib.get_home_dir(), "." + type),
-    fn(GLib.get_user_data_dir(), type),
-    ...GLib.get_system_data_dirs().map((dir) => fn(dir, type)),
-  ];
-}
-
-function getModeThemeDirs() {
-  const fn = (...args) => GLib.build_filenamev(args);
-  return GLib.get_system_data_dirs().map((dir) => fn(dir, "gnome-shell", "theme"));
-}
-
-function isPathExist(path) {
-  return GLib.access(path, 0) === 0;
-}
-
 async function readDir(dir) {
   const fileInfos = [];
   let fileEnum;
@@ -643,6 +3230,7 @@ async function collectAllThemes() {
       { name: "HighContrast", value: "HighContrast" },
       { name: "HighContrastInverse", value: "HighContrastInverse" },
     ],
+    gtk4: [],
   };
   
   const themePaths = await getThemes("themes");
@@ -659,6 +3247,13 @@ async function collectAllThemes() {
       themes.gtk3.push({ name, value });
     }
     
+    if (
+      isPathExist(fn(themepath, "gtk-4.0", "gtk.css")) &&
+      !themes.gtk4.some((e) => e.value === value)
+    ) {
+      themes.gtk4.push({ name, value });
+    }
+
     if (
       isPathExist(fn(themepath, "gnome-shell", "gnome-shell.css")) &&
       !themes.shell.some((e) => e.value === value)
@@ -699,6 +3294,10 @@ async function collectAllThemes() {
       themes[type].unshift(DEFAULT);
     }
   });
+
+  // Libadwaita's own style needs no files, so it stands for "none".
+  themes.gtk4.sort((a, b) => a.name.localeCompare(b.name));
+  themes.gtk4.unshift({ name: _("Built-in"), value: "" });
   
   return themes;
 }
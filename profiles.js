@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Named appearance profiles, shared by the extension and the preferences
+// window.
+//
+// Profiles live in the 'profiles' key as a{sa{ss}}: profile name to a
+// dictionary of appearance values plus the 'color-scheme' ('light' or
+// 'dark') it belongs to. The 'light-*' and 'dark-*' keys hold the values of
+// the active profile of each mode; changes to them are written back to that
+// profile, and activating a profile copies its values into them.
+
+import GLib from 'gi://GLib';
+
+export const MODES = ['light', 'dark'];
+
+// Keys of org.gnome.desktop.background kept per mode next to the wallpaper.
+export const BACKGROUND_KEYS = [
+    'picture-options', 'primary-color', 'secondary-color', 'color-shading-type',
+];
+
+// The lock screen image is the 'picture-uri' of org.gnome.desktop.screensaver.
+export const PROFILE_KEYS = [
+    'gtk-theme', 'shell-theme', 'icon-theme', 'cursor-theme', 'accent-color',
+    ...BACKGROUND_KEYS, 'lock-screen-uri',
+];
+
+export const WALLPAPER_KEYS = {
+    light: 'picture-uri',
+    dark: 'picture-uri-dark',
+};
+
+const DEFAULT_NAMES = {
+    light: 'Light',
+    dark: 'Dark',
+};
+
+export function loadProfiles(settings) {
+    return settings.get_value('profiles').deepUnpack();
+}
+
+export function saveProfiles(settings, profiles) {
+    settings.set_value('profiles', new GLib.Variant('a{sa{ss}}', profiles));
+}
+
+export function getProfileNames(settings, mode) {
+    const profiles = loadProfiles(settings);
+    return Object.keys(profiles)
+        .filter(name => profiles[name]['color-scheme'] === mode)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+export function getActiveProfileName(settings, mode) {
+    return settings.get_string(`${mode}-profile`);
+}
+
+// Reads the current values of a mode into a profile dictionary.
+export function snapshotMode(settings, backgroundSettings, mode) {
+    const profile = { 'color-scheme': mode };
+    PROFILE_KEYS.forEach(key => {
+        profile[key] = settings.get_string(`${mode}-${key}`);
+    });
+    profile['picture-uri'] = backgroundSettings.get_string(WALLPAPER_KEYS[mode]);
+    return profile;
+}
+
+// Creates the 'Light' and 'Dark' profiles from the per-mode keys the first
+// time profiles are used.
+export function migrateProfiles(settings, backgroundSettings) {
+    const profiles = loadProfiles(settings);
+    let changed = false;
+
+    MODES.forEach(mode => {
+        const active = getActiveProfileName(settings, mode);
+        if (profiles[active]?.['color-scheme'] === mode) return;
+
+        const name = uniqueProfileName(profiles, DEFAULT_NAMES[mode]);
+        profiles[name] = snapshotMode(settings, backgroundSettings, mode);
+        settings.set_string(`${mode}-profile`, name);
+        changed = true;
+    });
+
+    if (changed) saveProfiles(settings, profiles);
+}
+
+export function uniqueProfileName(profiles, base) {
+    if (!(base in profiles)) return base;
+
+    let index = 2;
+    while (`${base} ${index}` in profiles) index++;
+    return `${base} ${index}`;
+}
+
+// Writes one value of a mode back to the active profile of that mode.
+export function storeInActiveProfile(settings, mode, key, value) {
+    const profiles = loadProfiles(settings);
+    const profile = profiles[getActiveProfileName(settings, mode)];
+    if (!profile || profile[key] === value) return;
+
+    profile[key] = value;
+    saveProfiles(settings, profiles);
+}
+
+// Makes a profile the active one for its mode and copies its values into
+// the per-mode keys and the mode's wallpaper.
+export function activateProfile(settings, backgroundSettings, name) {
+    const profile = loadProfiles(settings)[name];
+    if (!profile) return;
+
+    const mode = profile['color-scheme'];
+    settings.set_string(`${mode}-profile`, name);
+
+    PROFILE_KEYS.forEach(key => {
+        if (key in profile) settings.set_string(`${mode}-${key}`, profile[key]);
+    });
+
+    const uri = profile['picture-uri'];
+    if (uri && backgroundSettings.get_string(WALLPAPER_KEYS[mode]) !== uri) {
+        backgroundSettings.set_string(WALLPAPER_KEYS[mode], uri);
+    }
+}
+
+export function createProfile(settings, backgroundSettings, name, mode) {
+    const profiles = loadProfiles(settings);
+    if (!name || name in profiles) return false;
+
+    profiles[name] = snapshotMode(settings, backgroundSettings, mode);
+    saveProfiles(settings, profiles);
+    return true;
+}
+
+export function duplicateProfile(settings, name) {
+    const profiles = loadProfiles(settings);
+    if (!profiles[name]) return null;
+
+    const copyName = uniqueProfileName(profiles, name);
+    profiles[copyName] = { ...profiles[name] };
+    saveProfiles(settings, profiles);
+    return copyName;
+}
+
+export function renameProfile(settings, oldName, newName) {
+    const profiles = loadProfiles(settings);
+    if (!profiles[oldName] || !newName || newName in profiles) return false;
+
+    profiles[newName] = profiles[oldName];
+    delete profiles[oldName];
+    saveProfiles(settings, profiles);
+
+    MODES.forEach(mode => {
+        if (getActiveProfileName(settings, mode) === oldName) {
+            settings.set_string(`${mode}-profile`, newName);
+        }
+    });
+    return true;
+}
+
+// The active profile of a mode cannot be deleted.
+export function deleteProfile(settings, name) {
+    if (MODES.some(mode => getActiveProfileName(settings, mode) === name)) return false;
+
+    const profiles = loadProfiles(settings);
+    if (!(name in profiles)) return false;
+
+    delete profiles[name];
+    saveProfiles(settings, profiles);
+    return true;
+}
+
+// Links a profile to the other color scheme.
+export function setProfileMode(settings, name, mode) {
+    if (MODES.some(m => getActiveProfileName(settings, m) === name)) return false;
+
+    const profiles = loadProfiles(settings);
+    if (!profiles[name]) return false;
+
+    profiles[name]['color-scheme'] = mode;
+    saveProfiles(settings, profiles);
+    return true;
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Qt appearance through qt5ct, qt6ct and Kvantum, shared by the extension
+// and the preferences. Their settings live in INI files that Qt apps read
+// when they start.
+//
+// The '{mode}-qt-settings' keys map these entries to values:
+//   qt5ct-color-scheme, qt6ct-color-scheme  path of a color scheme file
+//   qt5ct-style, qt6ct-style                Qt style name
+//   kvantum-theme                           Kvantum theme name
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const fn = (...args) => GLib.build_filenamev(args);
+
+export const QT_TOOLS = [
+    { id: 'qt5ct', name: 'qt5ct' },
+    { id: 'qt6ct', name: 'qt6ct' },
+];
+
+// Styles built into Qt itself; other styles are plugins whose names cannot
+// be read without loading them.
+const BUILTIN_STYLES = ['Fusion', 'Windows'];
+const KVANTUM_STYLES = ['kvantum', 'kvantum-dark'];
+
+function getDataDirs(name) {
+    return [
+        fn(GLib.get_user_config_dir(), name),
+        fn(GLib.get_user_data_dir(), name),
+        ...GLib.get_system_data_dirs().map(dir => fn(dir, name)),
+    ];
+}
+
+function getConfigFile(tool) {
+    return fn(GLib.get_user_config_dir(), tool.id, `${tool.id}.conf`);
+}
+
+const KVANTUM_CONFIG = fn(GLib.get_user_config_dir(), 'Kvantum', 'kvantum.kvconfig');
+
+function listChildren(path, type) {
+    const dir = Gio.File.new_for_path(path);
+    const names = [];
+    try {
+        const children = dir.enumerate_children('standard::name,standard::type',
+            Gio.FileQueryInfoFlags.NONE, null);
+        let info;
+        while ((info = children.next_file(null))) {
+            if (info.get_file_type() === type) names.push(info.get_name());
+        }
+        children.close(null);
+    } catch (e) {
+        // Missing data dirs are the common case.
+    }
+    return names.sort((a, b) => a.localeCompare(b));
+}
+
+function isInstalled(name) {
+    return getDataDirs(name).some(dir => GLib.file_test(dir, GLib.FileTest.IS_DIR));
+}
+
+export function getInstalledQtTools() {
+    return QT_TOOLS.filter(tool => isInstalled(tool.id));
+}
+
+export function hasKvantum() {
+    return isInstalled('Kvantum');
+}
+
+// Lists the color schemes of a tool. A scheme found in several dirs is
+// listed once, the user's copy first.
+export function listColorSchemes(tool) {
+    const schemes = new Map();
+    for (const dir of getDataDirs(tool.id)) {
+        const colorsDir = fn(dir, 'colors');
+        for (const name of listChildren(colorsDir, Gio.FileType.REGULAR)) {
+            if (!name.endsWith('.conf')) continue;
+
+            const id = name.slice(0, -'.conf'.length);
+            if (!schemes.has(id)) schemes.set(id, { name: id, path: fn(colorsDir, name) });
+        }
+    }
+    return [...schemes.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function listQtStyles() {
+    return hasKvantum() ? [...BUILTIN_STYLES, ...KVANTUM_STYLES] : BUILTIN_STYLES;
+}
+
+// A theme folder may hold variants, such as KvArc and KvArcDark, each with
+// its own .kvconfig file.
+export function listKvantumThemes() {
+    const themes = new Set();
+    for (const dir of getDataDirs('Kvantum')) {
+        for (const folder of listChildren(dir, Gio.FileType.DIRECTORY)) {
+            listChildren(fn(dir, folder), Gio.FileType.REGULAR)
+                .filter(name => name.endsWith('.kvconfig'))
+                .forEach(name => themes.add(name.slice(0, -'.kvconfig'.length)));
+        }
+    }
+    return [...themes].sort((a, b) => a.localeCompare(b));
+}
+
+// Sets keys of an INI file, keeping everything else in it, comments
+// included. The file is only written when a value changes.
+function updateIniFile(path, group, values) {
+    const keyFile = new GLib.KeyFile();
+    try {
+        keyFile.load_from_file(path, GLib.KeyFileFlags.KEEP_COMMENTS);
+    } catch (e) {
+        if (!e.matches(GLib.FileError, GLib.FileError.NOENT)) throw e;
+    }
+
+    let changed = false;
+    Object.entries(values).forEach(([key, value]) => {
+        let current = null;
+        try {
+            current = keyFile.get_string(group, key);
+        } catch (e) {
+            // Not set yet.
+        }
+        if (current === value) return;
+
+        keyFile.set_string(group, key, value);
+        changed = true;
+    });
+    if (!changed) return;
+
+    GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+    keyFile.save_to_file(path);
+}
+
+// Writes the entries of a mode; entries left empty keep their current
+// value.
+export function applyQtSettings(entries) {
+    getInstalledQtTools().forEach(tool => {
+        const values = {};
+        const scheme = entries[`${tool.id}-color-scheme`];
+        if (scheme) {
+            values['color_scheme_path'] = scheme;
+            values['custom_palette'] = 'true';
+        }
+        if (entries[`${tool.id}-style`]) values['style'] = entries[`${tool.id}-style`];
+
+        if (Object.keys(values).length)
+            updateIniFile(getConfigFile(tool), 'Appearance', values);
+    });
+
+    if (entries['kvantum-theme'] && hasKvantum())
+        updateIniFile(KVANTUM_CONFIG, 'General', { theme: entries['kvantum-theme'] });
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import GObject from 'gi://GObject';
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { QuickMenuToggle, SystemIndicator } from 'resource:///org/gnome/shell/ui/quickSettings.js';
+
+import { MODES } from './profiles.js';
+
+function getModeName(mode) {
+    return mode === 'dark' ? _('Dark Mode') : _('Light Mode');
+}
+
+const AppearanceKeeperToggle = GObject.registerClass(
+class AppearanceKeeperToggle extends QuickMenuToggle {
+    _init(manager) {
+        super._init({
+            title: _('Appearance'),
+            iconName: 'dark-mode-symbolic',
+            toggleMode: false,
+        });
+
+        this._manager = manager;
+
+        this._savedSetsSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this._savedSetsSection);
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        this.menu.addAction(_('Re-apply Saved Set'), () => this._manager.reapplySavedSet());
+        this.menu.addAction(_('Save Current as Light'), () => this._manager.saveCurrentAs('light'));
+        this.menu.addAction(_('Save Current as Dark'), () => this._manager.saveCurrentAs('dark'));
+        this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this.menu.addAction(_('Open Preferences'), () => this._manager.openPreferences());
+
+        this.connect('clicked', () => this._manager.toggleColorScheme());
+        this.menu.connect('open-state-changed', (menu, isOpen) => {
+            if (!isOpen) return;
+            this.sync();
+            this._updateSavedSets();
+        });
+
+        this.sync();
+    }
+
+    sync() {
+        const mode = this._manager.isDarkMode() ? 'dark' : 'light';
+        this.checked = mode === 'dark';
+        this.subtitle = getModeName(mode);
+        this.menu.setHeader('dark-mode-symbolic', 'Appearance Keeper',
+            `${getModeName(mode)} · ${this._manager.getSavedSet(mode).profile}`);
+    }
+
+    _updateSavedSets() {
+        this._savedSetsSection.removeAll();
+
+        MODES.forEach(mode => {
+            const set = this._manager.getSavedSet(mode);
+            const item = new PopupMenu.PopupMenuItem(`${getModeName(mode)}: ${set.profile}`, {
+                reactive: false,
+            });
+            this._savedSetsSection.addMenuItem(item);
+
+            const themes = [set['gtk-theme'], set['shell-theme'], set['icon-theme'],
+                set['cursor-theme'], set['accent-color']];
+            const details = new PopupMenu.PopupMenuItem(themes.filter(Boolean).join(' · '), {
+                reactive: false,
+                style_class: 'popup-inactive-menu-item',
+            });
+            this._savedSetsSection.addMenuItem(details);
+        });
+    }
+});
+
+export const AppearanceKeeperIndicator = GObject.registerClass(
+class AppearanceKeeperIndicator extends SystemIndicator {
+    _init(manager) {
+        super._init();
+
+        this._toggle = new AppearanceKeeperToggle(manager);
+        this.quickSettingsItems.push(this._toggle);
+    }
+
+    sync() {
+        this._toggle.sync();
+    }
+
+    destroy() {
+        this.quickSettingsItems.forEach(item => item.destroy());
+        this.quickSettingsItems = [];
+        super.destroy();
+    }
+});
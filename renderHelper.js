@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Runs bin/render-wallpaper, which does the pixel work of generated
+// wallpapers outside the GNOME Shell process.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+
+// Next to this module, wherever the extension is installed.
+const HELPER = Gio.File.new_for_uri(import.meta.url).get_parent()
+    .get_child('bin').get_child('render-wallpaper');
+
+// GNOME Shell may be started with a PATH that lacks gjs.
+const GJS_PATHS = ['/usr/bin/gjs', '/usr/local/bin/gjs'];
+
+function findGjs() {
+    return GLib.find_program_in_path('gjs') ??
+        GJS_PATHS.find(path => GLib.file_test(path, GLib.FileTest.IS_EXECUTABLE)) ?? null;
+}
+
+// Run through gjs rather than by its shebang, since extensions installed
+// from a zip lose the executable bit. A helper that cannot be started is
+// reported as such, apart from rendering errors.
+export async function runRenderHelper(args) {
+    const gjs = findGjs();
+    if (!gjs)
+        throw new Error('cannot start the wallpaper renderer: gjs is not installed');
+    if (!HELPER.query_exists(null))
+        throw new Error(`cannot start the wallpaper renderer: ${HELPER.get_path()} is missing`);
+
+    let process;
+    try {
+        process = Gio.Subprocess.new([gjs, '-m', HELPER.get_path(), ...args.map(String)],
+            Gio.SubprocessFlags.STDOUT_SILENCE | Gio.SubprocessFlags.STDERR_PIPE);
+    } catch (e) {
+        throw new Error(`cannot start the wallpaper renderer: ${e.message}`);
+    }
+
+    const [, stderr] = await process.communicate_utf8_async(null, null);
+    if (!process.get_successful())
+        throw new Error(stderr?.trim() || `render-wallpaper exited with status ${process.get_exit_status()}`);
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Schedule computations shared by the extension and the preferences window.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440587.5;
+const J2000 = 2451545.0;
+const EARTH_OBLIQUITY = 23.4397 * RAD;
+const SUN_ALTITUDE = -0.833 * RAD;
+
+const TIMED_MODES = ['sunrise-sunset', 'weekly', 'night-light'];
+
+// nightLight is the result of readNightLightConfig() and is only needed
+// when following the Night Light schedule.
+export function readScheduleConfig(settings, nightLight = null) {
+    return {
+        mode: settings.get_string('schedule-mode'),
+        latitude: settings.get_double('latitude'),
+        longitude: settings.get_double('longitude'),
+        sunriseOffset: settings.get_int('sunrise-offset'),
+        sunsetOffset: settings.get_int('sunset-offset'),
+        rules: settings.get_value('weekly-rules').deepUnpack(),
+        nightLight,
+    };
+}
+
+function toJulian(date) {
+    return date.getTime() / DAY_MS + J1970;
+}
+
+function fromJulian(julian) {
+    return new Date((julian - J1970) * DAY_MS);
+}
+
+// Sunrise equation, accurate to about a minute, which is plenty for
+// switching themes. Returns null times during polar day or night.
+export function getSunTimes(date, latitude, longitude) {
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const days = Math.round(toJulian(noon) - J2000);
+    const meanSolarNoon = days - longitude / 360;
+
+    const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360 * RAD;
+    const center = 1.9148 * Math.sin(anomaly) +
+        0.02 * Math.sin(2 * anomaly) +
+        0.0003 * Math.sin(3 * anomaly);
+    const eclipticLongitude = (anomaly / RAD + center + 180 + 102.9372) % 360 * RAD;
+    const transit = J2000 + meanSolarNoon +
+        0.0053 * Math.sin(anomaly) -
+        0.0069 * Math.sin(2 * eclipticLongitude);
+
+    const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(EARTH_OBLIQUITY));
+    const phi = latitude * RAD;
+    const cosHourAngle = (Math.sin(SUN_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination));
+
+    if (cosHourAngle > 1)
+        return { sunrise: null, sunset: null, polar: 'night' };
+    if (cosHourAngle < -1)
+        return { sunrise: null, sunset: null, polar: 'day' };
+
+    const hourAngle = Math.acos(cosHourAngle) / RAD;
+    return {
+        sunrise: fromJulian(transit - hourAngle / 360),
+        sunset: fromJulian(transit + hourAngle / 360),
+        polar: null,
+    };
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function getSolarTransitions(config, day) {
+    const times = getSunTimes(day, config.latitude, config.longitude);
+    if (times.polar)
+        return [];
+
+    return [
+        { time: new Date(times.sunrise.getTime() + config.sunriseOffset * 60000), isDark: false },
+        { time: new Date(times.sunset.getTime() + config.sunsetOffset * 60000), isDark: true },
+    ];
+}
+
+// Weekly rules are [days, minutes, isDark] triples where days is a bit mask
+// indexed like Date.getDay() (bit 0 is Sunday) and minutes counts from
+// local midnight.
+function getWeeklyTransitions(config, day) {
+    const weekday = day.getDay();
+    return config.rules
+        .filter(([days]) => days & (1 << weekday))
+        .map(([, minutes, isDark]) => ({
+            time: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes),
+            isDark,
+        }));
+}
+
+function getNightLightTransitions(config, day) {
+    if (!config.nightLight)
+        return [];
+
+    const atHour = hours => new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+        0, Math.round(hours * 60));
+    return [
+        { time: atHour(config.nightLight.to), isDark: false },
+        { time: atHour(config.nightLight.from), isDark: true },
+    ];
+}
+
+function getTransitionsForDay(config, day) {
+    switch (config.mode) {
+        case 'sunrise-sunset':
+            return getSolarTransitions(config, day);
+        case 'weekly':
+            return getWeeklyTransitions(config, day);
+        case 'night-light':
+            return getNightLightTransitions(config, day);
+        default:
+            return [];
+    }
+}
+
+// Without any transition close to now (polar regions, empty rule list),
+// fall back to the state of the current day.
+function getFallbackState(config, now) {
+    if (config.mode === 'sunrise-sunset')
+        return getSunTimes(now, config.latitude, config.longitude).polar === 'night';
+    return false;
+}
+
+export function getTransitions(config, from, to) {
+    const transitions = [];
+    for (let day = addDays(startOfDay(from), -1); day <= to; day = addDays(day, 1))
+        transitions.push(...getTransitionsForDay(config, day));
+
+    return transitions
+        .filter(transition => transition.time >= from && transition.time < to)
+        .sort((a, b) => a.time - b.time);
+}
+
+// Returns the scheme the schedule asks for right now and when it next
+// needs to be evaluated, or null when no time based schedule is active.
+export function getScheduleState(config, now = new Date()) {
+    if (!TIMED_MODES.includes(config.mode))
+        return null;
+
+    // Weekly rules may only fire on some days, so look a full week around now.
+    const transitions = getTransitions(config, addDays(now, -8), addDays(now, 8));
+    const previous = transitions.filter(transition => transition.time <= now).pop();
+    const next = transitions.find(transition => transition.time > now);
+
+    // While Night Light is on, its live state wins over the computed one:
+    // it also covers "disabled until tomorrow" and daemon-side rounding.
+    const nightLight = config.mode === 'night-light' ? config.nightLight : null;
+    if (nightLight?.enabled && nightLight.active !== null) {
+        return {
+            isDark: nightLight.active,
+            nextTransition: next ? next.time : addDays(startOfDay(now), 1),
+        };
+    }
+
+    return {
+        isDark: previous ? previous.isDark : getFallbackState(config, now),
+        nextTransition: next ? next.time : addDays(startOfDay(now), 1),
+    };
+}
+
+// Returns -1 below the dark threshold, 1 above the light threshold and 0 in
+// the hysteresis band between them. Thresholds set the wrong way round
+// outside the preferences are swapped rather than left to flip the mode at
+// every reading.
+export function getLightZone(level, darkThreshold, lightThreshold) {
+    if (level < Math.min(darkThreshold, lightThreshold))
+        return -1;
+    if (level > Math.max(darkThreshold, lightThreshold))
+        return 1;
+    return 0;
+}
@@ -0,0 +1,221 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Export and import of the whole light and dark setup as a portable JSON
+// file, shared by the preferences window and the command line client.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { MODES, WALLPAPER_KEYS } from './profiles.js';
+import { themeExists } from './themes.js';
+
+export const SETUP_FORMAT = 'appearance-keeper-setup';
+export const SETUP_VERSION = 1;
+
+const THEME_KINDS = ['gtk-theme', 'shell-theme', 'icon-theme', 'cursor-theme'];
+
+// Per-mode state this machine built up, which another one has no use for.
+const LOCAL_STATE_KEYS = ['wallpaper-history', 'slideshow-position', 'slideshow-seed'];
+
+// Every light-*/dark-* key (the toggle keybinding included) and the
+// profiles, less the local state.
+function isExportedKey(key) {
+    if (key === 'profiles') return true;
+    return MODES.some(mode => key.startsWith(`${mode}-`)) &&
+        !LOCAL_STATE_KEYS.some(name => key.endsWith(`-${name}`));
+}
+
+function getWallpaperDir() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), 'appearance-keeper', 'wallpapers']);
+}
+
+function bundleWallpaper(uri) {
+    const file = Gio.File.new_for_uri(uri);
+    const [, contents] = file.load_contents(null);
+    return {
+        uri,
+        filename: file.get_basename(),
+        data: GLib.base64_encode(contents),
+    };
+}
+
+// Collects the exported keys and both wallpapers. Local wallpaper files can
+// be embedded so the setup works on a machine that does not have them.
+export function exportSetup(settings, backgroundSettings, { bundleWallpapers = false } = {}) {
+    const setup = {
+        format: SETUP_FORMAT,
+        version: SETUP_VERSION,
+        settings: {},
+        wallpapers: {},
+    };
+
+    settings.settings_schema.list_keys()
+        .filter(isExportedKey)
+        .sort()
+        .forEach(key => {
+            setup.settings[key] = settings.get_value(key).recursiveUnpack();
+        });
+
+    MODES.forEach(mode => {
+        const uri = backgroundSettings.get_string(WALLPAPER_KEYS[mode]);
+        const file = uri ? Gio.File.new_for_uri(uri) : null;
+
+        if (bundleWallpapers && file?.is_native() && file.query_exists(null)) {
+            setup.wallpapers[mode] = bundleWallpaper(uri);
+        } else {
+            setup.wallpapers[mode] = { uri };
+        }
+    });
+
+    return setup;
+}
+
+export function writeSetupFile(file, setup) {
+    const contents = new TextEncoder().encode(`${JSON.stringify(setup, null, 2)}\n`);
+    file.replace_contents(contents, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+}
+
+export function readSetupFile(file) {
+    const [, contents] = file.load_contents(null);
+
+    try {
+        return JSON.parse(new TextDecoder().decode(contents));
+    } catch (e) {
+        throw new Error(`Not a valid setup file: ${e.message}`);
+    }
+}
+
+function packValue(schema, key, value) {
+    const schemaKey = schema.get_key(key);
+    const variant = new GLib.Variant(schemaKey.get_value_type().dup_string(), value);
+    if (!schemaKey.range_check(variant))
+        throw new Error('value out of range');
+    return variant;
+}
+
+// Checks a parsed setup against the schema of this machine. Errors make the
+// setup unusable; warnings list what will be skipped; missingThemes lists
+// themes the setup refers to that are not installed here.
+export function validateSetup(settings, setup) {
+    const report = { errors: [], warnings: [], missingThemes: [], values: {} };
+
+    if (typeof setup !== 'object' || setup === null || setup.format !== SETUP_FORMAT) {
+        report.errors.push('Not an Appearance Keeper setup file');
+        return report;
+    }
+
+    if (!Number.isInteger(setup.version) || setup.version < 1) {
+        report.errors.push('Missing or invalid format version');
+        return report;
+    }
+
+    if (setup.version > SETUP_VERSION) {
+        report.errors.push(`Setup format version ${setup.version} is newer than this extension supports`);
+        return report;
+    }
+
+    const schema = settings.settings_schema;
+    Object.entries(setup.settings ?? {}).forEach(([key, value]) => {
+        if (!schema.has_key(key)) {
+            report.warnings.push(`Unknown setting "${key}" skipped`);
+            return;
+        }
+        if (!isExportedKey(key)) {
+            report.warnings.push(`Local state "${key}" skipped`);
+            return;
+        }
+
+        try {
+            report.values[key] = packValue(schema, key, value);
+        } catch (e) {
+            report.errors.push(`Invalid value for "${key}": ${e.message}`);
+        }
+    });
+
+    MODES.forEach(mode => {
+        const wallpaper = setup.wallpapers?.[mode];
+        if (wallpaper === undefined) return;
+
+        if (typeof wallpaper?.uri !== 'string' ||
+            (wallpaper.data !== undefined && typeof wallpaper.filename !== 'string')) {
+            report.errors.push(`Invalid ${mode} wallpaper entry`);
+            return;
+        }
+
+        if (wallpaper.data === undefined && wallpaper.uri) {
+            const file = Gio.File.new_for_uri(wallpaper.uri);
+            if (file.is_native() && !file.query_exists(null))
+                report.warnings.push(`The ${mode} wallpaper ${file.get_path()} is missing on this machine`);
+        }
+
+        THEME_KINDS.forEach(kind => {
+            const name = report.values[`${mode}-${kind}`]?.unpack();
+            if (name !== undefined && !themeExists(kind, name))
+                report.missingThemes.push({ mode, kind, name });
+        });
+    });
+
+    return report;
+}
+
+function installWallpaper(mode, wallpaper) {
+    if (wallpaper.data === undefined) return wallpaper.uri;
+
+    const dir = Gio.File.new_for_path(getWallpaperDir());
+    try {
+        dir.make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+
+    const basename = GLib.path_get_basename(wallpaper.filename);
+    const file = dir.get_child(`${mode}-${basename}`);
+    file.replace_contents(GLib.base64_decode(wallpaper.data), null, false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    return file.get_uri();
+}
+
+// Delay mode cannot be left again, so batch writes on a separate object.
+function createDelayedSettings(settings) {
+    const delayed = new Gio.Settings({
+        settings_schema: settings.settings_schema,
+        path: settings.path,
+    });
+    delayed.delay();
+    return delayed;
+}
+
+// Applies a setup validated by validateSetup(). All keys land in a single
+// write, so the extension sees one consistent change.
+export function importSetup(settings, backgroundSettings, setup, report) {
+    if (report.errors.length)
+        throw new Error(report.errors.join('\n'));
+
+    const wallpaperUris = {};
+    MODES.forEach(mode => {
+        const wallpaper = setup.wallpapers?.[mode];
+        if (wallpaper?.uri || wallpaper?.data)
+            wallpaperUris[mode] = installWallpaper(mode, wallpaper);
+    });
+
+    const delayed = createDelayedSettings(settings);
+    Object.entries(report.values).forEach(([key, variant]) => delayed.set_value(key, variant));
+
+    // Keep the active profiles in line with the wallpapers set below.
+    if (Object.keys(wallpaperUris).length) {
+        const profiles = delayed.get_value('profiles').deepUnpack();
+        MODES.forEach(mode => {
+            const name = delayed.get_string(`${mode}-profile`);
+            if (profiles[name] && wallpaperUris[mode])
+                profiles[name]['picture-uri'] = wallpaperUris[mode];
+        });
+        delayed.set_value('profiles', new GLib.Variant('a{sa{ss}}', profiles));
+    }
+    delayed.apply();
+
+    const delayedBackground = createDelayedSettings(backgroundSettings);
+    Object.entries(wallpaperUris).forEach(([mode, uri]) => {
+        delayedBackground.set_string(WALLPAPER_KEYS[mode], uri);
+    });
+    delayedBackground.apply();
+}
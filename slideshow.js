@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Wallpaper slideshow helpers shared by the extension and the preferences
+// window.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+// Returns the images of a folder as Gio.File objects, sorted by name.
+// Excluded entries are file names relative to the folder.
+export async function listSlideshowImages(folderPath, excluded = []) {
+    if (!folderPath) return [];
+
+    const folder = Gio.File.new_for_path(folderPath);
+    const images = [];
+    let fileEnum;
+
+    try {
+        fileEnum = await folder.enumerate_children_async(
+            `${Gio.FILE_ATTRIBUTE_STANDARD_NAME},${Gio.FILE_ATTRIBUTE_STANDARD_CONTENT_TYPE}`,
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            console.warn(`Appearance Keeper: cannot read slideshow folder ${folderPath}: ${e.message}`);
+        return [];
+    }
+
+    let infos;
+    do {
+        infos = await fileEnum.next_files_async(100, GLib.PRIORITY_DEFAULT, null);
+        infos
+            .filter(info => Gio.content_type_is_mime_type(info.get_content_type() ?? '', 'image/*'))
+            .forEach(info => images.push(info.get_name()));
+    } while (infos.length > 0);
+
+    return images
+        .filter(name => !excluded.includes(name))
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => folder.get_child(name));
+}
+
+// Small seeded generator, so a shuffled order survives restarts as long as
+// the seed is kept.
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function getSlideshowOrder(images, shuffle, seed) {
+    if (!shuffle) return images;
+
+    const random = mulberry32(seed);
+    const order = [...images];
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// GtkSourceView style schemes of the editors that keep their own
+// 'style-scheme' setting, shared by the extension and the preferences.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { getDirs } from './themes.js';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+
+// sourceViews are the gtksourceview data dirs each editor reads schemes
+// from, newest first.
+export const EDITORS = [
+    {
+        id: 'text-editor',
+        name: 'Text Editor',
+        schema: 'org.gnome.TextEditor',
+        key: 'style-scheme',
+        sourceViews: ['gtksourceview-5'],
+    },
+    {
+        id: 'builder',
+        name: 'Builder',
+        schema: 'org.gnome.builder.editor',
+        key: 'style-scheme-name',
+        sourceViews: ['gtksourceview-5'],
+    },
+    {
+        id: 'gedit',
+        name: 'gedit',
+        schema: 'org.gnome.gedit.preferences.editor',
+        key: 'scheme',
+        sourceViews: ['libgedit-gtksourceview-300', 'gtksourceview-4', 'gtksourceview-3.0'],
+    },
+];
+
+function lookupSchema(editor) {
+    const schema = Gio.SettingsSchemaSource.get_default()?.lookup(editor.schema, true);
+    return schema?.has_key(editor.key) ? schema : null;
+}
+
+export function getInstalledEditors() {
+    return EDITORS.filter(editor => lookupSchema(editor));
+}
+
+export function setStyleScheme(editor, scheme) {
+    const settings = new Gio.Settings({ settings_schema: lookupSchema(editor) });
+    if (settings.get_string(editor.key) !== scheme)
+        settings.set_string(editor.key, scheme);
+}
+
+function parseScheme(contents) {
+    const tag = /<style-scheme\b([^>]*)>/.exec(contents)?.[1];
+    const id = tag && /\bid="([^"]+)"/.exec(tag)?.[1];
+    if (!id) return null;
+
+    const name = /\b_?name="([^"]+)"/.exec(tag)?.[1] ?? id;
+    return { id, name };
+}
+
+async function readSchemeDir(path) {
+    const dir = Gio.File.new_for_path(path);
+    const schemes = [];
+    let fileEnum;
+
+    try {
+        fileEnum = await dir.enumerate_children_async(
+            Gio.FILE_ATTRIBUTE_STANDARD_NAME, Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null);
+    } catch (e) {
+        return schemes;
+    }
+
+    let infos;
+    do {
+        infos = await fileEnum.next_files_async(100, GLib.PRIORITY_DEFAULT, null);
+        for (const info of infos.filter(i => i.get_name().endsWith('.xml'))) {
+            try {
+                const [contents] = await dir.get_child(info.get_name()).load_contents_async(null);
+                const scheme = parseScheme(new TextDecoder().decode(contents));
+                if (scheme) schemes.push(scheme);
+            } catch (e) {
+                console.warn(`Appearance Keeper: cannot read style scheme ${info.get_name()}: ${e.message}`);
+            }
+        }
+    } while (infos.length > 0);
+
+    return schemes;
+}
+
+// Lists the schemes an editor can use, sorted by name. A scheme found in
+// several dirs is listed once, the user's copy first.
+export async function listStyleSchemes(editor) {
+    const schemes = new Map();
+    for (const sourceView of editor.sourceViews) {
+        for (const dir of getDirs(GLib.build_filenamev([sourceView, 'styles']))) {
+            for (const scheme of await readSchemeDir(dir)) {
+                if (!schemes.has(scheme.id)) schemes.set(scheme.id, scheme);
+            }
+        }
+    }
+    return [...schemes.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Profiles of GNOME Terminal and Ptyxis, read from their dconf trees through
+// their own schemas. A terminal whose schemas are not installed is skipped.
+
+import Gio from 'gi://Gio';
+
+export const TERMINALS = [
+    {
+        id: 'gnome-terminal',
+        name: 'GNOME Terminal',
+        listSchema: 'org.gnome.Terminal.ProfilesList',
+        listKey: 'list',
+        defaultKey: 'default',
+        profileSchema: 'org.gnome.Terminal.Legacy.Profile',
+        profilePath: uuid => `/org/gnome/terminal/legacy/profiles:/:${uuid}/`,
+        nameKey: 'visible-name',
+    },
+    {
+        id: 'ptyxis',
+        name: 'Ptyxis',
+        listSchema: 'org.gnome.Ptyxis',
+        listKey: 'profile-uuids',
+        defaultKey: 'default-profile-uuid',
+        profileSchema: 'org.gnome.Ptyxis.Profile',
+        profilePath: uuid => `/org/gnome/Ptyxis/Profiles/${uuid}/`,
+        nameKey: 'label',
+    },
+];
+
+function lookupSchema(id) {
+    return Gio.SettingsSchemaSource.get_default()?.lookup(id, true) ?? null;
+}
+
+export function getInstalledTerminals() {
+    return TERMINALS.filter(terminal =>
+        lookupSchema(terminal.listSchema) && lookupSchema(terminal.profileSchema));
+}
+
+function getProfileSettings(terminal, uuid) {
+    return new Gio.Settings({
+        settings_schema: lookupSchema(terminal.profileSchema),
+        path: terminal.profilePath(uuid),
+    });
+}
+
+export function listTerminalProfiles(terminal) {
+    const list = new Gio.Settings({ settings_schema: lookupSchema(terminal.listSchema) });
+    return list.get_strv(terminal.listKey).map(uuid => ({
+        uuid,
+        name: getProfileSettings(terminal, uuid).get_string(terminal.nameKey) || uuid,
+    }));
+}
+
+// Makes a profile the one new windows and tabs open with. Returns false
+// when the profile no longer exists.
+export function setDefaultProfile(terminal, uuid) {
+    const list = new Gio.Settings({ settings_schema: lookupSchema(terminal.listSchema) });
+    if (!list.get_strv(terminal.listKey).includes(uuid)) return false;
+
+    if (list.get_string(terminal.defaultKey) !== uuid)
+        list.set_string(terminal.defaultKey, uuid);
+    return true;
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env -S gjs -m
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Stands in for the Night Light part of gnome-settings-daemon on the session
+// bus, so "Follow Night Light" can be tried without waiting for the real
+// schedule or on a machine without color management. Reads commands from
+// stdin:
+//
+//     active | inactive     turn NightLightActive on or off
+//     sunrise HOURS         set Sunrise, e.g. 6.5 for 06:30
+//     sunset HOURS          set Sunset
+//
+// Run it in a nested session, where the daemon is not running:
+//
+//     dbus-run-session sh -c 'gjs -m tests/fake-color-daemon.js & gnome-shell --devkit'
+//
+// Outside one it asks to replace the daemon's name, which only works while
+// the daemon allows it.
+
+import Gio from 'gi://Gio';
+import GioUnix from 'gi://GioUnix';
+import GLib from 'gi://GLib';
+import System from 'system';
+
+const BUS_NAME = 'org.gnome.SettingsDaemon.Color';
+const OBJECT_PATH = '/org/gnome/SettingsDaemon/Color';
+
+const ColorInterface = `
+<node>
+  <interface name="org.gnome.SettingsDaemon.Color">
+    <property name="NightLightActive" type="b" access="read"/>
+    <property name="Sunrise" type="d" access="read"/>
+    <property name="Sunset" type="d" access="read"/>
+  </interface>
+</node>`;
+
+function main() {
+    const color = {
+        NightLightActive: false,
+        Sunrise: 6,
+        Sunset: 20,
+    };
+    const exported = Gio.DBusExportedObject.wrapJSObject(ColorInterface, color);
+    exported.export(Gio.DBus.session, OBJECT_PATH);
+
+    const setProperty = (name, variant) => {
+        color[name] = variant.unpack();
+        exported.emit_property_changed(name, variant);
+    };
+
+    const commands = {
+        'active': () => setProperty('NightLightActive', new GLib.Variant('b', true)),
+        'inactive': () => setProperty('NightLightActive', new GLib.Variant('b', false)),
+        'sunrise': hours => setProperty('Sunrise', new GLib.Variant('d', hours)),
+        'sunset': hours => setProperty('Sunset', new GLib.Variant('d', hours)),
+    };
+
+    const loop = new GLib.MainLoop(null, false);
+    let status = 0;
+    Gio.bus_own_name_on_connection(Gio.DBus.session, BUS_NAME, Gio.BusNameOwnerFlags.REPLACE,
+        () => print(`${BUS_NAME} ready`),
+        () => {
+            printerr(`error: cannot own ${BUS_NAME} on the session bus`);
+            status = 1;
+            loop.quit();
+        });
+
+    const input = new Gio.DataInputStream({
+        base_stream: new GioUnix.InputStream({ fd: 0, close_fd: false }),
+    });
+    const readCommand = () => {
+        input.read_line_async(GLib.PRIORITY_DEFAULT, null, (stream, result) => {
+            const [line] = stream.read_line_finish_utf8(result);
+            if (line === null) {
+                loop.quit();
+                return;
+            }
+
+            const [name, arg] = line.trim().split(/\s+/);
+            const hours = Number(arg);
+            if (name && !commands[name])
+                printerr(`unknown command: ${name}`);
+            else if (name && commands[name].length && !(hours >= 0 && hours < 24))
+                printerr(`not an hour of the day: ${arg ?? ''}`);
+            else if (name)
+                commands[name](hours);
+            readCommand();
+        });
+    };
+    readCommand();
+
+    loop.run();
+    return status;
+}
+
+System.exit(main());
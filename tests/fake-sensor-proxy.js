@@ -0,0 +1,90 @@
+#!/usr/bin/env -S gjs -m
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Stands in for iio-sensor-proxy on the session bus, so ambient light
+// switching can be tried on a machine without a light sensor. Each line read
+// from stdin sets a new light level:
+//
+//     gjs -m tests/fake-sensor-proxy.js [UNIT]
+//
+// UNIT is 'lux' (the default) or 'vendor'. GNOME Shell and the preferences
+// use it when started with APPEARANCE_KEEPER_SENSOR_BUS=session, e.g. in a
+// nested session: dbus-run-session gnome-shell --devkit.
+
+import Gio from 'gi://Gio';
+import GioUnix from 'gi://GioUnix';
+import GLib from 'gi://GLib';
+import System from 'system';
+
+const BUS_NAME = 'net.hadess.SensorProxy';
+const OBJECT_PATH = '/net/hadess/SensorProxy';
+
+const SensorProxyInterface = `
+<node>
+  <interface name="net.hadess.SensorProxy">
+    <method name="ClaimLight"/>
+    <method name="ReleaseLight"/>
+    <property name="HasAmbientLight" type="b" access="read"/>
+    <property name="LightLevelUnit" type="s" access="read"/>
+    <property name="LightLevel" type="d" access="read"/>
+  </interface>
+</node>`;
+
+function main([unit = 'lux']) {
+    if (unit !== 'lux' && unit !== 'vendor') {
+        printerr('Usage: fake-sensor-proxy.js [lux|vendor]');
+        return 2;
+    }
+
+    const sensor = {
+        HasAmbientLight: true,
+        LightLevelUnit: unit,
+        LightLevel: 0,
+        ClaimLight() {
+            print('light claimed');
+        },
+        ReleaseLight() {
+            print('light released');
+        },
+    };
+    const exported = Gio.DBusExportedObject.wrapJSObject(SensorProxyInterface, sensor);
+    exported.export(Gio.DBus.session, OBJECT_PATH);
+
+    const loop = new GLib.MainLoop(null, false);
+    let status = 0;
+    Gio.bus_own_name_on_connection(Gio.DBus.session, BUS_NAME, Gio.BusNameOwnerFlags.NONE,
+        () => print(`${BUS_NAME} ready, enter light levels in ${unit}`),
+        () => {
+            printerr(`error: cannot own ${BUS_NAME} on the session bus`);
+            status = 1;
+            loop.quit();
+        });
+
+    const input = new Gio.DataInputStream({
+        base_stream: new GioUnix.InputStream({ fd: 0, close_fd: false }),
+    });
+    const readLevel = () => {
+        input.read_line_async(GLib.PRIORITY_DEFAULT, null, (stream, result) => {
+            const [line] = stream.read_line_finish_utf8(result);
+            if (line === null) {
+                loop.quit();
+                return;
+            }
+
+            const level = Number(line.trim());
+            if (line.trim() && Number.isFinite(level) && level >= 0) {
+                sensor.LightLevel = level;
+                exported.emit_property_changed('LightLevel', new GLib.Variant('d', level));
+            } else if (line.trim()) {
+                printerr(`not a light level: ${line.trim()}`);
+            }
+            readLevel();
+        });
+    };
+    readLevel();
+
+    loop.run();
+    return status;
+}
+
+System.exit(main(System.programArgs));
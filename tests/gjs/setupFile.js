@@ -0,0 +1,96 @@
+#!/usr/bin/env -S gjs -m
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Checks which settings an exported setup carries. It needs GNOME's
+// libraries, so it runs under gjs rather than with npm test. From the source
+// tree, after compiling the schemas:
+//
+//     glib-compile-schemas schemas && gjs -m tests/gjs/setupFile.js
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import System from 'system';
+
+import { exportSetup, validateSetup } from '../../setupFile.js';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.appearance-keeper';
+
+const SHARED_KEYS = [
+    'dark-light-toggle',
+    'profiles',
+    'light-gtk-theme',
+    'light-lock-screen-uri',
+    'dark-lock-screen-uri',
+    'dark-wallpaper-folder',
+    'dark-terminal-profiles',
+];
+
+const LOCAL_KEYS = [
+    'light-wallpaper-history',
+    'dark-wallpaper-history',
+    'light-slideshow-position',
+    'light-slideshow-seed',
+    'change-history',
+    'hook-results',
+    'managed-links',
+];
+
+function createSettings() {
+    const testsDir = GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0]);
+    const source = Gio.SettingsSchemaSource.new_from_directory(
+        GLib.build_filenamev([testsDir, '..', '..', 'schemas']), null, false);
+    return new Gio.Settings({
+        settings_schema: source.lookup(SCHEMA_ID, false),
+        backend: Gio.memory_settings_backend_new(),
+    });
+}
+
+const backgroundSettings = { get_string: () => '' };
+
+const tests = {
+    'settings of both modes and the shortcut are exported'(settings) {
+        const setup = exportSetup(settings, backgroundSettings);
+        const missing = SHARED_KEYS.filter(key => !(key in setup.settings));
+        if (missing.length) throw new Error(`not exported: ${missing.join(', ')}`);
+    },
+
+    'local state is not exported'(settings) {
+        const setup = exportSetup(settings, backgroundSettings);
+        const leaked = LOCAL_KEYS.filter(key => key in setup.settings);
+        if (leaked.length) throw new Error(`exported: ${leaked.join(', ')}`);
+    },
+
+    'the shortcut and lock screen image are imported'(settings) {
+        const setup = exportSetup(settings, backgroundSettings);
+        const report = validateSetup(settings, setup);
+        ['dark-light-toggle', 'light-lock-screen-uri'].forEach(key => {
+            if (!(key in report.values)) throw new Error(`${key} would not be imported`);
+        });
+    },
+
+    'local state is skipped on import'(settings) {
+        const setup = exportSetup(settings, backgroundSettings);
+        setup.settings['light-slideshow-position'] = 3;
+        const report = validateSetup(settings, setup);
+        if ('light-slideshow-position' in report.values)
+            throw new Error('light-slideshow-position would be imported');
+        if (!report.warnings.some(warning => warning.includes('light-slideshow-position')))
+            throw new Error('no warning for light-slideshow-position');
+    },
+};
+
+function main() {
+    let failed = 0;
+    Object.entries(tests).forEach(([name, test]) => {
+        try {
+            test(createSettings());
+            print(`ok - ${name}`);
+        } catch (e) {
+            print(`not ok - ${name}: ${e.message}`);
+            failed++;
+        }
+    });
+    return failed ? 1 : 0;
+}
+
+System.exit(main());
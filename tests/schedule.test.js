@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getLightZone, getScheduleState } from '../schedule.js';
+
+// Night Light from 21:30 to 6:15, the daemon state given by active.
+function nightLightConfig(nightLight) {
+    return {
+        mode: 'night-light',
+        nightLight: { enabled: true, active: null, from: 21.5, to: 6.25, ...nightLight },
+    };
+}
+
+describe('getScheduleState with the Night Light schedule', () => {
+    it('follows the schedule times without the daemon', () => {
+        const config = nightLightConfig({});
+
+        const evening = getScheduleState(config, new Date(2026, 2, 10, 22, 0));
+        assert.equal(evening.isDark, true);
+        assert.deepEqual(evening.nextTransition, new Date(2026, 2, 11, 6, 15));
+
+        const morning = getScheduleState(config, new Date(2026, 2, 11, 7, 0));
+        assert.equal(morning.isDark, false);
+        assert.deepEqual(morning.nextTransition, new Date(2026, 2, 11, 21, 30));
+    });
+
+    it('treats a transition at the current minute as passed', () => {
+        const state = getScheduleState(nightLightConfig({}), new Date(2026, 2, 10, 21, 30));
+        assert.equal(state.isDark, true);
+    });
+
+    it('prefers the live daemon state to the schedule times', () => {
+        const now = new Date(2026, 2, 10, 22, 0);
+
+        const disabledForTonight = getScheduleState(nightLightConfig({ active: false }), now);
+        assert.equal(disabledForTonight.isDark, false);
+        assert.deepEqual(disabledForTonight.nextTransition, new Date(2026, 2, 11, 6, 15));
+
+        const early = getScheduleState(nightLightConfig({ active: true }), new Date(2026, 2, 10, 21, 0));
+        assert.equal(early.isDark, true);
+    });
+
+    it('ignores the daemon state while Night Light is off', () => {
+        const state = getScheduleState(nightLightConfig({ enabled: false, active: false }),
+            new Date(2026, 2, 10, 22, 0));
+        assert.equal(state.isDark, true);
+    });
+
+    it('keeps the current scheme without a Night Light configuration', () => {
+        const state = getScheduleState({ mode: 'night-light', nightLight: null },
+            new Date(2026, 2, 10, 22, 0));
+        assert.equal(state.isDark, false);
+        assert.deepEqual(state.nextTransition, new Date(2026, 2, 11));
+    });
+
+    it('is inactive outside the timed modes', () => {
+        assert.equal(getScheduleState({ mode: 'manual', nightLight: null }), null);
+    });
+});
+
+describe('getLightZone', () => {
+    it('splits the levels around the hysteresis band', () => {
+        assert.equal(getLightZone(10, 50, 200), -1);
+        assert.equal(getLightZone(50, 50, 200), 0);
+        assert.equal(getLightZone(120, 50, 200), 0);
+        assert.equal(getLightZone(200, 50, 200), 0);
+        assert.equal(getLightZone(500, 50, 200), 1);
+    });
+
+    it('swaps thresholds set the wrong way round', () => {
+        assert.equal(getLightZone(10, 200, 50), -1);
+        assert.equal(getLightZone(120, 200, 50), 0);
+        assert.equal(getLightZone(500, 200, 50), 1);
+    });
+
+    it('has no band between equal thresholds', () => {
+        assert.equal(getLightZone(99, 100, 100), -1);
+        assert.equal(getLightZone(100, 100, 100), 0);
+        assert.equal(getLightZone(101, 100, 100), 1);
+    });
+});
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Theme lookup shared by the preferences window and the setup import.
+
+import GLib from 'gi://GLib';
+
+const fn = (...args) => GLib.build_filenamev(args);
+
+// Themes that ship inside GTK or GNOME Shell and have no directory.
+const BUILTIN_THEMES = {
+    'gtk-theme': ['Adwaita', 'HighContrast', 'HighContrastInverse'],
+    'shell-theme': ['', 'Default'],
+};
+
+export function getDirs(type) {
+    return [
+        fn(GLib.get_home_dir(), `.${type}`),
+        fn(GLib.get_user_data_dir(), type),
+        ...GLib.get_system_data_dirs().map(dir => fn(dir, type)),
+    ];
+}
+
+export function getModeThemeDirs() {
+    return GLib.get_system_data_dirs().map(dir => fn(dir, 'gnome-shell', 'theme'));
+}
+
+export function isPathExist(path) {
+    return GLib.access(path, 0) === 0;
+}
+
+// Tells whether a theme of the given kind ('gtk-theme', 'shell-theme',
+// 'icon-theme' or 'cursor-theme') is installed.
+export function themeExists(kind, name) {
+    if (BUILTIN_THEMES[kind]?.includes(name)) return true;
+
+    switch (kind) {
+        case 'gtk-theme':
+            return getDirs('themes').some(dir => isPathExist(fn(dir, name, 'gtk-3.0', 'gtk.css')));
+        case 'shell-theme':
+            return getDirs('themes').some(dir => isPathExist(fn(dir, name, 'gnome-shell', 'gnome-shell.css'))) ||
+                getModeThemeDirs().some(dir => isPathExist(fn(dir, `${name}.css`)));
+        case 'icon-theme':
+            return getDirs('icons').some(dir => isPathExist(fn(dir, name, 'index.theme')));
+        case 'cursor-theme':
+            return getDirs('icons').some(dir => isPathExist(fn(dir, name, 'cursors')));
+        default:
+            return true;
+    }
+}
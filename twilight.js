@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Blended frames between the light and dark wallpapers, shown around a
+// scheduled switch. Frames are rendered once by bin/render-wallpaper and
+// kept in the user cache dir.
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { runRenderHelper } from './renderHelper.js';
+
+function getCacheDir() {
+    return Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_cache_dir(), 'appearance-keeper', 'twilight',
+    ]));
+}
+
+// The key covers both images and their modification times, so editing or
+// replacing either one leads to a new set of frames.
+function getTwilightKey(lightFile, darkFile, steps, size) {
+    const sources = [lightFile, darkFile].map(file => {
+        const info = file.query_info('time::modified,standard::size', Gio.FileQueryInfoFlags.NONE, null);
+        return `${file.get_uri()}:${info.get_modification_date_time().to_unix()}:${info.get_size()}`;
+    });
+    return GLib.compute_checksum_for_string(GLib.ChecksumType.SHA1, `${sources.join('|')}|${steps}|${size}`, -1);
+}
+
+function deleteRecursively(file) {
+    if (file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) === Gio.FileType.DIRECTORY) {
+        const children = file.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let info;
+        while ((info = children.next_file(null)))
+            deleteRecursively(file.get_child(info.get_name()));
+        children.close(null);
+    }
+    file.delete(null);
+}
+
+// Only the frames of the current pair are worth keeping.
+function pruneCache(keepKey) {
+    const cacheDir = getCacheDir();
+    if (!cacheDir.query_exists(null)) return;
+
+    const children = cacheDir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+    let info;
+    while ((info = children.next_file(null))) {
+        if (info.get_name() !== keepKey)
+            deleteRecursively(cacheDir.get_child(info.get_name()));
+    }
+    children.close(null);
+}
+
+function getFrame(dir, index) {
+    return dir.get_child(`frame-${index + 1}.jpg`);
+}
+
+// Returns the frames between two local images, as Gio.File objects ordered
+// from light to dark, scaled to fit size pixels. Missing frames are rendered
+// in a helper process.
+export async function renderTwilightFrames(lightFile, darkFile, steps, size) {
+    const key = getTwilightKey(lightFile, darkFile, steps, size);
+    const dir = getCacheDir().get_child(key);
+    const frames = Array.from({ length: steps }, (_, i) => getFrame(dir, i));
+    if (frames.every(frame => frame.query_exists(null))) return frames;
+
+    pruneCache(key);
+    try {
+        dir.make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+
+    await runRenderHelper(['twilight', lightFile.get_path(), darkFile.get_path(), size, steps, dir.get_path()]);
+    return frames;
+}
+
+// Renders the missing frames into a dir. Run by bin/render-wallpaper.
+export function writeTwilightFrames(lightPath, darkPath, size, steps, dirPath) {
+    const dir = Gio.File.new_for_path(dirPath);
+    const light = GdkPixbuf.Pixbuf.new_from_file_at_scale(lightPath, size, size, true);
+    const dark = GdkPixbuf.Pixbuf.new_from_file_at_scale(darkPath, size, size, true);
+    const { width, height } = light;
+
+    // The dark image covers the light one, centred, like GNOME's "zoom".
+    const scale = Math.max(width / dark.width, height / dark.height);
+    const offsetX = (width - dark.width * scale) / 2;
+    const offsetY = (height - dark.height * scale) / 2;
+
+    for (let i = 0; i < steps; i++) {
+        const frame = getFrame(dir, i);
+        if (frame.query_exists(null)) continue;
+
+        const blended = light.copy();
+        dark.composite(blended, 0, 0, width, height, offsetX, offsetY, scale, scale,
+            GdkPixbuf.InterpType.BILINEAR, Math.round(255 * (i + 1) / (steps + 1)));
+
+        // Write aside first, so an interrupted render is not taken for a
+        // finished frame.
+        const partial = dir.get_child(`${frame.get_basename()}.part`);
+        blended.savev(partial.get_path(), 'jpeg', ['quality'], ['90']);
+        partial.move(frame, Gio.FileCopyFlags.OVERWRITE, null, null);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Recently used wallpapers of each mode, newest first, kept in the
+// '<mode>-wallpaper-history' keys.
+
+export const HISTORY_LIMIT = 24;
+
+function getHistoryKey(mode) {
+    return `${mode}-wallpaper-history`;
+}
+
+export function getWallpaperHistory(settings, mode) {
+    return settings.get_strv(getHistoryKey(mode));
+}
+
+// Moves a wallpaper to the front, dropping the oldest entries past the
+// limit.
+export function recordWallpaper(settings, mode, uri) {
+    if (!uri) return;
+
+    const history = getWallpaperHistory(settings, mode);
+    if (history[0] === uri) return;
+
+    settings.set_strv(getHistoryKey(mode),
+        [uri, ...history.filter(entry => entry !== uri)].slice(0, HISTORY_LIMIT));
+}
+
+export function forgetWallpaper(settings, mode, uri) {
+    const history = getWallpaperHistory(settings, mode);
+    settings.set_strv(getHistoryKey(mode), history.filter(entry => entry !== uri));
+}
@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// Reading and writing of GNOME timed XML wallpapers, the <background>
+// slideshow format understood by gnome-desktop.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export function isBackgroundXml(uri) {
+    return Boolean(uri) && uri.toLowerCase().endsWith('.xml');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function encodeEntities(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function getElementText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeEntities(match[1].trim()) : null;
+}
+
+// A <file> holds either a path or several <size> variants; the widest one
+// is kept.
+function getFileText(xml) {
+    const file = xml.match(/<file(?:\s[^>]*)?>([\s\S]*?)<\/file>/);
+    if (!file) return null;
+
+    const sizes = [...file[1].matchAll(/<size\s[^>]*width="(\d+)"[^>]*>([\s\S]*?)<\/size>/g)];
+    if (!sizes.length) return decodeEntities(file[1].trim());
+
+    sizes.sort((a, b) => Number(b[1]) - Number(a[1]));
+    return decodeEntities(sizes[0][2].trim());
+}
+
+function parseStartTime(xml) {
+    const block = getElementText(xml, 'starttime');
+    if (block === null) return new Date(2000, 0, 1);
+
+    const part = (tag, fallback) => Number(getElementText(block, tag) ?? fallback);
+    return new Date(
+        part('year', 2000), part('month', 1) - 1, part('day', 1),
+        part('hour', 0), part('minute', 0), part('second', 0)
+    );
+}
+
+// Parses a <background> document into its start time and the ordered list
+// of static and transition items. Throws on documents it cannot use.
+export function parseBackgroundXml(text) {
+    const xml = text.replace(/<!--[\s\S]*?-->/g, '');
+    const background = xml.match(/<background(?:\s[^>]*)?>([\s\S]*)<\/background>/);
+    if (!background)
+        throw new Error('Not a GNOME background file');
+
+    const items = [];
+    for (const [, tag, attributes, body] of background[1].matchAll(
+        /<(static|transition)(\s[^>]*)?>([\s\S]*?)<\/\1>/g)) {
+        const duration = Number(getElementText(body, 'duration'));
+        if (!(duration >= 0))
+            throw new Error(`Invalid duration in <${tag}>`);
+
+        if (tag === 'static') {
+            items.push({ type: 'static', duration, file: getFileText(body) });
+        } else {
+            items.push({
+                type: 'transition',
+                kind: attributes?.match(/type="([^"]*)"/)?.[1] ?? 'overlay',
+                duration,
+                from: getElementText(body, 'from'),
+                to: getElementText(body, 'to'),
+            });
+        }
+    }
+
+    if (!items.some(item => item.type === 'static' && item.file))
+        throw new Error('The background has no image');
+
+    return { startTime: parseStartTime(background[1]), items };
+}
+
+export function loadBackgroundXml(path) {
+    const [, contents] = Gio.File.new_for_path(path).load_contents(null);
+    return parseBackgroundXml(new TextDecoder().decode(contents));
+}
+
+export function getCycleDuration(background) {
+    return background.items.reduce((total, item) => total + item.duration, 0);
+}
+
+// Returns the image shown at a given time, picking the nearer end of a
+// running transition.
+export function getImageAt(background, date = new Date()) {
+    const cycle = getCycleDuration(background);
+    const fallback = background.items.find(item => item.type === 'static').file;
+    if (cycle <= 0) return fallback;
+
+    let offset = ((date - background.startTime) / 1000) % cycle;
+    if (offset < 0) offset += cycle;
+
+    for (const item of background.items) {
+        if (offset < item.duration) {
+            if (item.type === 'static') return item.file;
+            return offset < item.duration / 2 ? item.from : item.to;
+        }
+        offset -= item.duration;
+    }
+    return fallback;
+}
+
+// Builds a looping background from images shown for their own duration,
+// each followed by a transition to the next one. Durations are in seconds.
+export function buildBackgroundXml(images, transitionDuration, transitionType = 'overlay') {
+    const now = new Date();
+    const lines = [
+        '<background>',
+        '  <starttime>',
+        `    <year>${now.getFullYear()}</year>`,
+        `    <month>${now.getMonth() + 1}</month>`,
+        `    <day>${now.getDate()}</day>`,
+        '    <hour>0</hour>',
+        '    <minute>0</minute>',
+        '    <second>0</second>',
+        '  </starttime>',
+    ];
+
+    images.forEach((image, index) => {
+        const path = encodeEntities(image.path);
+        lines.push(
+            '  <static>',
+            `    <duration>${image.duration.toFixed(1)}</duration>`,
+            `    <file>${path}</file>`,
+            '  </static>'
+        );
+
+        if (images.length > 1 && transitionDuration > 0) {
+            const next = encodeEntities(images[(index + 1) % images.length].path);
+            lines.push(
+                `  <transition type="${transitionType}">`,
+                `    <duration>${transitionDuration.toFixed(1)}</duration>`,
+                `    <from>${path}</from>`,
+                `    <to>${next}</to>`,
+                '  </transition>'
+            );
+        }
+    });
+
+    lines.push('</background>', '');
+    return lines.join('\n');
+}
+
+// Saves a background under the user data dir and returns its URI.
+export function saveBackgroundXml(mode, text) {
+    const dir = Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_data_dir(), 'backgrounds', 'appearance-keeper',
+    ]));
+    try {
+        dir.make_directory_with_parents(null);
+    } catch (e) {
+        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+    }
+
+    const stamp = GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S');
+    const file = dir.get_child(`${mode}-${stamp}.xml`);
+    file.replace_contents(new TextEncoder().encode(text), null, false,
+        Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+    return file.get_uri();
+}